@@ -0,0 +1,166 @@
+// email-templates.js
+// Branded email templates for ZumbaWithPooh (contact notifications, visitor replies, bookings).
+// Templates use {{placeholder}} tokens. Every value is HTML-escaped before it lands in the
+// html body, so visitor input can never inject markup into anyone's inbox.
+
+const BRAND = {
+  name: 'Zumba With Pooh',
+  phone: '8976593179',
+  email: 'poojarupani1995@gmail.com',
+  instagram: 'https://www.instagram.com/zumbawithpooh/',
+  website: 'https://zumbawithpooh.com'
+};
+
+const DEFAULT_TEMPLATES = {
+  'inquiry-notification': {
+    description: 'Sent to the studio when a visitor submits the contact form',
+    placeholders: ['name', 'email', 'phone', 'preferredBranch', 'message', 'submittedAt'],
+    subject: 'New Contact Inquiry from {{name}}',
+    html: `
+      <h2>New Contact Inquiry</h2>
+      <p><strong>Name:</strong> {{name}}</p>
+      <p><strong>Email:</strong> {{email}}</p>
+      <p><strong>Phone:</strong> {{phone}}</p>
+      <p><strong>Preferred branch:</strong> {{preferredBranch}}</p>
+      <p><strong>Submitted at:</strong> {{submittedAt}}</p>
+      <hr>
+      <p><strong>Message:</strong></p>
+      <p style="white-space: pre-line;">{{message}}</p>
+    `,
+    text: [
+      'You have received a new contact inquiry via ZumbaWithPooh.com',
+      '',
+      'Name: {{name}}',
+      'Email: {{email}}',
+      'Phone: {{phone}}',
+      'Preferred branch: {{preferredBranch}}',
+      '',
+      'Message:',
+      '{{message}}',
+      '',
+      'Submitted at: {{submittedAt}}'
+    ].join('\n')
+  },
+  'inquiry-acknowledgement': {
+    description: 'Auto-reply sent to the visitor after they submit the contact form',
+    placeholders: ['name', 'branchDetails'],
+    subject: 'Thanks for reaching out to Zumba With Pooh!',
+    html: `
+      <h2>Hi {{name}}, thanks for getting in touch! 💃</h2>
+      <p>We've received your message and will call or email you back shortly.</p>
+      <p>In the meantime, here's where and when you can find us:</p>
+      <p style="white-space: pre-line; background: #fff0f7; padding: 12px 16px; border-radius: 8px;">{{branchDetails}}</p>
+      <p>Walk-ins are welcome during class timings. See you on the dance floor!</p>
+    `,
+    text: [
+      'Hi {{name}}, thanks for getting in touch!',
+      '',
+      "We've received your message and will call or email you back shortly.",
+      '',
+      "In the meantime, here's where and when you can find us:",
+      '',
+      '{{branchDetails}}',
+      '',
+      'Walk-ins are welcome during class timings. See you on the dance floor!'
+    ].join('\n')
+  },
+  'booking-promoted': {
+    description: 'Sent to a waitlisted visitor when a spot opens up',
+    placeholders: ['name', 'classType', 'startTime', 'date', 'branch'],
+    subject: "You're in! {{classType}} on {{date}}",
+    html: `
+      <h2>Hi {{name}}, a spot opened up! 🎉</h2>
+      <p>Your waitlisted booking is now confirmed:</p>
+      <p><strong>{{classType}}</strong> at <strong>{{startTime}}</strong> on <strong>{{date}}</strong> ({{branch}}).</p>
+      <p>See you there!</p>
+    `,
+    text: [
+      'Hi {{name}},',
+      '',
+      'A spot opened up and your waitlisted booking is now confirmed:',
+      '{{classType}} at {{startTime}} on {{date}} ({{branch}}).',
+      '',
+      'See you there!'
+    ].join('\n')
+  }
+};
+
+// Example values used by the admin preview endpoint.
+const SAMPLE_DATA = {
+  'inquiry-notification': {
+    name: 'Priya Sharma',
+    email: 'priya@example.com',
+    phone: '+91 98765 43210',
+    preferredBranch: 'Branch 1',
+    message: 'Hi! I would like to join the evening Zumba batch.\nDo you offer a trial class?',
+    submittedAt: new Date().toLocaleString()
+  },
+  'inquiry-acknowledgement': {
+    name: 'Priya Sharma',
+    branchDetails: 'Branch 1\nMonday to Friday: 8:00 AM, 9:00 AM, 6:30 PM, 7:00 PM, 8:30 PM\n\nBranch 2\nMonday to Friday: 9:00 AM, 10:00 AM, 7:15 PM, 8:30 PM'
+  },
+  'booking-promoted': {
+    name: 'Priya Sharma',
+    classType: 'Zumba',
+    startTime: '7:00 PM',
+    date: '2026-01-05',
+    branch: 'Branch 1'
+  }
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Replaces {{ key }} tokens; unknown keys render as an empty string.
+function fillPlaceholders(template, data, transform) {
+  return String(template || '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+    const value = data[key];
+    return value === undefined || value === null ? '' : transform(String(value));
+  });
+}
+
+function wrapInLayout(bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+<body style="margin:0; padding:0; background:#f6f6f6; font-family: Arial, Helvetica, sans-serif; color:#222;">
+  <div style="max-width:600px; margin:0 auto; background:#ffffff;">
+    <div style="background: linear-gradient(135deg, #ff0080, #7928ca); padding:20px; text-align:center;">
+      <span style="color:#ffffff; font-size:24px; font-weight:bold;">${escapeHtml(BRAND.name)}</span>
+    </div>
+    <div style="padding:24px; line-height:1.6;">
+      ${bodyHtml}
+    </div>
+    <div style="padding:16px 24px; background:#111111; color:#bbbbbb; font-size:13px; text-align:center;">
+      📞 ${escapeHtml(BRAND.phone)} · ✉️ ${escapeHtml(BRAND.email)} ·
+      <a href="${escapeHtml(BRAND.instagram)}" style="color:#ff66b3;">@zumbawithpooh</a>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Renders a template ({ subject, html, text }) with the given data.
+ * Subject lines are flattened to one line so values cannot inject mail headers.
+ */
+function renderTemplate(template, data = {}) {
+  return {
+    subject: fillPlaceholders(template.subject, data, (value) => value.replace(/[\r\n]+/g, ' ')).trim(),
+    html: wrapInLayout(fillPlaceholders(template.html, data, escapeHtml)),
+    text: fillPlaceholders(template.text, data, (value) => value)
+  };
+}
+
+module.exports = {
+  BRAND,
+  DEFAULT_TEMPLATES,
+  SAMPLE_DATA,
+  escapeHtml,
+  renderTemplate
+};
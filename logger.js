@@ -0,0 +1,105 @@
+// logger.js
+// Structured logs: one JSON object per line (stdout, or stderr for warn/error) so the hosting
+// platform's log search can filter on fields such as requestId or status.
+//   logger.info('mongodb connected', { attempt: 2 })
+//   -> {"time":"…","level":"info","msg":"mongodb connected","attempt":2}
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+// Query parameters whose values never reach the logs (booking cancel links, setup links, ...).
+const SECRET_PARAM_PATTERN = /token|password|secret|key/i;
+
+function serializeError(err) {
+  return { message: err.message, name: err.name, code: err.code, stack: err.stack };
+}
+
+function serializeFields(fields) {
+  const result = {};
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    result[key] = value instanceof Error ? serializeError(value) : value;
+  });
+  return result;
+}
+
+function createLogger({ level = 'info', base = {} } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function write(levelName, msg, fields) {
+    if (LEVELS[levelName] < threshold) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level: levelName, msg, ...base, ...serializeFields(fields) });
+    (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (fields) => createLogger({ level, base: { ...base, ...fields } })
+  };
+}
+
+function redactUrl(originalUrl) {
+  const [pathname, query] = String(originalUrl).split('?');
+  if (!query) return pathname;
+
+  const params = new URLSearchParams(query);
+  for (const key of [...params.keys()]) {
+    if (SECRET_PARAM_PATTERN.test(key)) params.set(key, 'redacted');
+  }
+  return `${pathname}?${params}`;
+}
+
+/**
+ * Express middleware: gives every request an id (the caller's X-Request-Id when it looks sane,
+ * otherwise a new UUID), echoes it back, exposes `req.id` / `req.log`, and writes one access log
+ * line when the response finishes or the client goes away. `quietPaths` log at debug level
+ * (health probes would otherwise drown everything else).
+ */
+function requestLogger(logger, { quietPaths = [], onStart, onEnd } = {}) {
+  return (req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && /^[\w.:-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    let logged = false;
+    if (onStart) onStart(req);
+
+    const finish = () => {
+      if (logged) return;
+      logged = true;
+      if (onEnd) onEnd(req);
+
+      const fields = {
+        method: req.method,
+        url: redactUrl(req.originalUrl),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        bytes: Number(res.get('Content-Length')) || undefined,
+        ip: req.ip,
+        user: req.user?.username
+      };
+
+      if (!res.writableFinished) {
+        req.log.warn('request aborted', fields);
+      } else if (res.statusCode >= 500) {
+        req.log.error('request', fields);
+      } else {
+        req.log[quietPaths.includes(req.path) ? 'debug' : 'info']('request', fields);
+      }
+    };
+
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  };
+}
+
+module.exports = {
+  createLogger,
+  requestLogger
+};
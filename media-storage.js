@@ -0,0 +1,218 @@
+// media-storage.js
+// Where uploaded photos and videos live. Both drivers expose the same interface so routes
+// never talk to Cloudinary or the filesystem directly:
+//   upload(buffer, { folder, resourceType, publicId, extension }) -> { url, publicId, bytes, ... }
+//   uploadFile(filePath, sameOptions) -> same result, streamed from disk for large videos
+//   destroy(publicId, { resourceType }) -> 'ok' | 'not found'
+//   ownsUrl(url), publicIdFromUrl(url), check()
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v2: cloudinary } = require('cloudinary');
+const streamifier = require('streamifier');
+
+function extractCloudinaryPublicIdFromUrl(url) {
+  if (!url || typeof url !== 'string') return '';
+
+  try {
+    const parsed = new URL(url);
+    const pathParts = parsed.pathname.split('/').filter(Boolean);
+    const uploadIndex = pathParts.findIndex((part) => part === 'upload');
+    if (uploadIndex === -1 || uploadIndex + 1 >= pathParts.length) return '';
+
+    const afterUpload = pathParts.slice(uploadIndex + 1);
+
+    // Skip Cloudinary version segment (e.g., v1712345678) if present.
+    if (afterUpload[0] && /^v\d+$/.test(afterUpload[0])) {
+      afterUpload.shift();
+    }
+
+    if (!afterUpload.length) return '';
+
+    const joined = afterUpload.join('/');
+    return joined.replace(/\.[^/.]+$/, '');
+  } catch (err) {
+    return '';
+  }
+}
+
+function extractCloudinaryCloudNameFromUrl(url) {
+  if (!url || typeof url !== 'string') return '';
+
+  try {
+    const parsed = new URL(url);
+    const parts = parsed.pathname.split('/').filter(Boolean);
+    // Expected URL shape: /<cloud_name>/<resource_type>/upload/...
+    return parts[0] || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+function toCloudinaryUpload(result) {
+  const upload = {
+    url: result.secure_url,
+    publicId: result.public_id,
+    bytes: result.bytes,
+    width: result.width,
+    height: result.height,
+    duration: result.duration,
+    originalFilename: result.original_filename
+  };
+
+  if (result.resource_type === 'video') {
+    // Cloudinary renders a poster frame on demand for any video URL ending in .jpg.
+    upload.posterUrl = cloudinary.url(result.public_id, {
+      resource_type: 'video',
+      format: 'jpg',
+      secure: true,
+      transformation: [{ start_offset: '1', width: 720, crop: 'limit' }]
+    });
+  }
+
+  return upload;
+}
+
+function createCloudinaryStorage({ cloudName, apiKey, apiSecret }) {
+  cloudinary.config({
+    cloud_name: cloudName,
+    api_key: apiKey,
+    api_secret: apiSecret
+  });
+
+  return {
+    driver: 'cloudinary',
+    cloudName,
+
+    upload(buffer, { folder, resourceType = 'image', publicId } = {}) {
+      return new Promise((resolve, reject) => {
+        const options = { folder, resource_type: resourceType };
+        if (publicId) options.public_id = publicId;
+
+        const stream = cloudinary.uploader.upload_stream(options, (err, result) => {
+          if (!result) return reject(err);
+          resolve(toCloudinaryUpload(result));
+        });
+        streamifier.createReadStream(buffer).pipe(stream);
+      });
+    },
+
+    uploadFile(filePath, { folder, resourceType = 'image', publicId } = {}) {
+      return new Promise((resolve, reject) => {
+        // upload_large sends the file in 20 MB pieces, reading from disk as it goes.
+        const options = { folder, resource_type: resourceType, chunk_size: 20 * 1024 * 1024 };
+        if (publicId) options.public_id = publicId;
+
+        cloudinary.uploader.upload_large(filePath, options, (err, result) => {
+          if (err || !result || result.error) return reject(err || result?.error || new Error('Cloudinary upload failed'));
+          resolve(toCloudinaryUpload(result));
+        });
+      });
+    },
+
+    async destroy(publicId, { resourceType = 'image' } = {}) {
+      const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+      // Cloudinary returns "ok" for deleted assets and "not found" when already absent.
+      if (result?.result === 'ok' || result?.result === 'not found') return result.result;
+      throw new Error(`Unexpected Cloudinary response: ${JSON.stringify(result)}`);
+    },
+
+    ownsUrl(url) {
+      return /(^|\.)cloudinary\.com$/.test(safeHostname(url)) && extractCloudinaryCloudNameFromUrl(url) === cloudName;
+    },
+
+    publicIdFromUrl: extractCloudinaryPublicIdFromUrl,
+
+    check() {
+      return cloudinary.api.ping();
+    }
+  };
+}
+
+/**
+ * Stores files under `rootDir` and serves them from `${publicBaseUrl}${routePath}`.
+ * The public id is the path relative to rootDir (e.g. "zumba-gallery/3f9c….jpg").
+ */
+function createLocalStorage({ rootDir, publicBaseUrl, routePath = '/media' }) {
+  const baseUrl = `${String(publicBaseUrl).replace(/\/+$/, '')}${routePath}/`;
+
+  function toUrl(relativePath) {
+    return baseUrl + relativePath.split('/').map(encodeURIComponent).join('/');
+  }
+
+  function resolveFile(publicId) {
+    const filePath = path.resolve(rootDir, publicId);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Refusing to touch a file outside the media directory: ${publicId}`);
+    }
+    return filePath;
+  }
+
+  return {
+    driver: 'local',
+    rootDir,
+    routePath,
+
+    async upload(buffer, { folder = '', publicId, extension = '' } = {}) {
+      const relativePath = path.posix.join(folder, `${publicId || crypto.randomBytes(12).toString('hex')}${extension}`);
+      const filePath = resolveFile(relativePath);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+
+      return { url: toUrl(relativePath), publicId: relativePath, bytes: buffer.length };
+    },
+
+    // Copies rather than renames so the source may live on another filesystem (e.g. /tmp).
+    async uploadFile(sourcePath, { folder = '', publicId, extension = '' } = {}) {
+      const relativePath = path.posix.join(folder, `${publicId || crypto.randomBytes(12).toString('hex')}${extension}`);
+      const filePath = resolveFile(relativePath);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(sourcePath, filePath, fs.constants.COPYFILE_EXCL);
+      const { size } = await fs.promises.stat(filePath);
+
+      return { url: toUrl(relativePath), publicId: relativePath, bytes: size };
+    },
+
+    async destroy(publicId) {
+      try {
+        await fs.promises.unlink(resolveFile(publicId));
+        return 'ok';
+      } catch (err) {
+        if (err.code === 'ENOENT') return 'not found';
+        throw err;
+      }
+    },
+
+    ownsUrl(url) {
+      return typeof url === 'string' && url.startsWith(baseUrl);
+    },
+
+    publicIdFromUrl(url) {
+      if (typeof url !== 'string' || !url.startsWith(baseUrl)) return '';
+      return url.slice(baseUrl.length).split('/').map(decodeURIComponent).join('/');
+    },
+
+    async check() {
+      await fs.promises.mkdir(rootDir, { recursive: true });
+      await fs.promises.access(rootDir, fs.constants.W_OK);
+    }
+  };
+}
+
+function safeHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (err) {
+    return '';
+  }
+}
+
+module.exports = {
+  createCloudinaryStorage,
+  createLocalStorage,
+  extractCloudinaryCloudNameFromUrl,
+  extractCloudinaryPublicIdFromUrl
+};
@@ -0,0 +1,145 @@
+// read-cache.js
+// Short-lived cache for public read endpoints (gallery cards, offers, videos). Both stores
+// expose the same promise-based interface so routes never care where entries live:
+//   get(key) -> value | null
+//   set(key, value, ttlMs)
+//   delete(key)
+//   deletePrefix(prefix)   // invalidation after a write, e.g. deletePrefix('offers:')
+//   increment(key, windowMs) -> { count, resetAt }   // fixed-window counter for rate limits
+// The memory store is per process; the MongoDB store is shared, so a write on any instance
+// invalidates what every other instance serves and rate limits count across instances.
+
+const DEFAULT_COLLECTION = 'readcache';
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createMemoryCache() {
+  const entries = new Map();
+
+  return {
+    store: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() >= entry.expiresAt) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async deletePrefix(prefix) {
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = entries.get(key);
+      if (!entry || now >= entry.expiresAt) {
+        entry = { value: 0, expiresAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.value += 1;
+
+      // Drop expired keys now and then so the map does not grow forever.
+      if (entries.size > 5000) {
+        for (const [storedKey, stored] of entries) {
+          if (now >= stored.expiresAt) entries.delete(storedKey);
+        }
+      }
+
+      return { count: entry.value, resetAt: entry.expiresAt };
+    }
+  };
+}
+
+/**
+ * Keeps entries as { _id: key, value, expiresAt } in a plain collection of the given
+ * mongoose connection. A TTL index purges expired documents; reads also check expiresAt
+ * because MongoDB only sweeps about once a minute.
+ */
+function createMongoCache(connection, { collectionName = DEFAULT_COLLECTION } = {}) {
+  let indexReady = null;
+
+  function collection() {
+    return connection.collection(collectionName);
+  }
+
+  function ensureIndex() {
+    if (!indexReady) {
+      indexReady = collection().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch((err) => {
+        indexReady = null;
+        throw err;
+      });
+    }
+    return indexReady;
+  }
+
+  return {
+    store: 'mongo',
+
+    async get(key) {
+      const entry = await collection().findOne({ _id: key, expiresAt: { $gt: new Date() } });
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      await ensureIndex();
+      await collection().replaceOne(
+        { _id: key },
+        { value, expiresAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      );
+    },
+
+    async delete(key) {
+      await collection().deleteOne({ _id: key });
+    },
+
+    async deletePrefix(prefix) {
+      await collection().deleteMany({ _id: { $regex: `^${escapeRegex(prefix)}` } });
+    },
+
+    // One atomic update: an expired (or new) window restarts at 1, a running one counts up.
+    async increment(key, windowMs) {
+      await ensureIndex();
+      const now = new Date();
+      const expired = { $lte: [{ $ifNull: ['$expiresAt', new Date(0)] }, now] };
+      const update = [{
+        $set: {
+          value: { $cond: [expired, 1, { $add: ['$value', 1] }] },
+          expiresAt: { $cond: [expired, new Date(now.getTime() + windowMs), '$expiresAt'] }
+        }
+      }];
+      const options = { upsert: true, returnDocument: 'after' };
+
+      let entry;
+      try {
+        entry = await collection().findOneAndUpdate({ _id: key }, update, options);
+      } catch (err) {
+        // Two first hits raced to insert the key; the loser updates the winner's document.
+        if (err.code !== 11000) throw err;
+        entry = await collection().findOneAndUpdate({ _id: key }, update, options);
+      }
+      return { count: entry.value, resetAt: entry.expiresAt.getTime() };
+    }
+  };
+}
+
+module.exports = {
+  createMemoryCache,
+  createMongoCache
+};
@@ -1,5 +1,5 @@
 // server.js
-// Backend for ZumbaWithPooh Gallery (Cloudinary + MongoDB Atlas)
+// Backend for ZumbaWithPooh Gallery (Cloudinary or local media storage + MongoDB Atlas)
 
 require('dotenv').config();
 
@@ -7,10 +7,21 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const multer = require('multer');
-const { v2: cloudinary } = require('cloudinary');
-const streamifier = require('streamifier');
 const nodemailer = require('nodemailer');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { DEFAULT_TEMPLATES, SAMPLE_DATA, renderTemplate } = require('./email-templates');
+const { createCloudinaryStorage, createLocalStorage } = require('./media-storage');
+const { readMp4DurationSeconds } = require('./video-metadata');
+const { createLogger, requestLogger } = require('./logger');
+const { createMemoryCache, createMongoCache } = require('./read-cache');
+const { version: APP_VERSION } = require('./package.json');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -22,21 +33,109 @@ function readEnv(name) {
   return raw.trim().replace(/^['\"]|['\"]$/g, '');
 }
 
+const logger = createLogger({ level: readEnv('LOG_LEVEL') || 'info' });
+
 /* =========================
    MIDDLEWARE
 ========================= */
 
+const HEALTH_PATHS = ['/api/health', '/api/ready'];
+// Set on SIGTERM/SIGINT; see GRACEFUL SHUTDOWN at the bottom.
+let shuttingDown = false;
+let activeRequests = 0;
+
+app.use(requestLogger(logger, {
+  quietPaths: HEALTH_PATHS,
+  onStart: () => { activeRequests += 1; },
+  onEnd: () => { activeRequests -= 1; }
+}));
+
+// While draining, ask keep-alive clients to reconnect (to another instance) after this response.
+app.use((req, res, next) => {
+  if (shuttingDown) res.set('Connection', 'close');
+  next();
+});
+
+// Sites allowed to call the API from a browser. Outside production, localhost pages and
+// files opened from disk (Origin "null") are allowed too.
+const DEFAULT_CORS_ORIGINS = ['https://zumbawithpooh.com', 'https://www.zumbawithpooh.com'];
+const CORS_ORIGINS = readEnv('CORS_ORIGINS')
+  ? readEnv('CORS_ORIGINS').split(',').map((origin) => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+  : DEFAULT_CORS_ORIGINS;
+const IS_PRODUCTION = readEnv('NODE_ENV') === 'production';
+const LOCAL_ORIGIN_PATTERN = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+function isAllowedOrigin(origin) {
+  if (CORS_ORIGINS.includes(origin)) return true;
+  return !IS_PRODUCTION && (origin === 'null' || LOCAL_ORIGIN_PATTERN.test(origin));
+}
+
+app.disable('x-powered-by');
+
+app.use((req, res, next) => {
+  res.set({
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'no-referrer',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    // Gallery photos and videos under /media are embedded by the site on another origin.
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  if (req.path.startsWith('/api/')) res.set('Content-Security-Policy', "default-src 'none'; frame-ancestors 'none'");
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+  next();
+});
+
 app.use(cors({
-  origin: (origin, callback) => {
-    // Allow local development from any origin (including file:// which appears as "null").
-    // Tighten this in production.
-    callback(null, true);
-  },
-  credentials: true
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// CORS alone only hides responses; a browser on another site could still fire simple POSTs.
+app.use('/api', (req, res, next) => {
+  const origin = req.get('Origin');
+  if (!origin || isAllowedOrigin(origin)) return next();
+  res.status(403).json({ error: 'Origin not allowed' });
+});
+
+// Behind a hosting proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the visitor, not the proxy.
+if (readEnv('TRUST_PROXY')) {
+  app.set('trust proxy', Number(readEnv('TRUST_PROXY')) || readEnv('TRUST_PROXY'));
+}
+
+// Uploads and restores go through multer with their own limits; JSON bodies are small forms.
+const BODY_LIMIT = readEnv('BODY_LIMIT') || '200kb';
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT, parameterLimit: 100 }));
+
+// Returns the path of the first key starting with "$" (a MongoDB operator), or ''.
+// Absurdly deep input is refused rather than walked.
+function findOperatorKey(value, path, depth = 0) {
+  if (!value || typeof value !== 'object') return '';
+  if (depth > 32) return path;
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = `${path}.${key}`;
+    if (key.startsWith('$')) return childPath;
+    const found = findOperatorKey(child, childPath, depth + 1);
+    if (found) return found;
+  }
+  return '';
+}
+
+// Input such as {"email": {"$ne": ""}} must never reach a query as an operator.
+app.use('/api', (req, res, next) => {
+  const key = findOperatorKey(req.query, 'query') || findOperatorKey(req.body, 'body');
+  if (!key) return next();
+  res.status(400).json({ error: 'Invalid input', details: [`${key} is not an allowed field name`] });
+});
+
+// Until MongoDB is reachable, API calls fail fast with 503 instead of hanging on buffered queries.
+app.use('/api', (req, res, next) => {
+  if (mongoose.connection.readyState === 1 || HEALTH_PATHS.includes(req.originalUrl.split('?')[0])) return next();
+  res.set('Retry-After', '5');
+  res.status(503).json({ error: 'Service temporarily unavailable. Please try again shortly.' });
+});
 
 /* =========================
    MONGODB CONNECTION
@@ -45,39 +144,91 @@ app.use(express.urlencoded({ extended: true }));
 const MONGODB_URI = process.env.MONGODB_URI;
 
 if (!MONGODB_URI) {
-  console.error('❌ Missing MONGODB_URI environment variable');
+  logger.error('missing MONGODB_URI environment variable');
   process.exit(1);
 }
 
-mongoose.connect(MONGODB_URI)
-  .then(() => console.log('✅ MongoDB connected'))
-  .catch(err => console.error('❌ MongoDB error:', err));
+const MONGO_RETRY_MAX_MS = 30 * 1000;
+let mongoRetryTimer = null;
+
+// Keeps retrying the first connection with backoff; after that the driver reconnects on its own.
+function connectToMongo(attempt = 1) {
+  mongoRetryTimer = null;
+
+  mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 10000 })
+    .then(() => {
+      logger.info('mongodb connected', { attempt });
+      startOutboxWorker();
+      startWebhookWorker();
+      startVideoUploadSweeper();
+      return Promise.all([ensureBootstrapAdmin(), backfillVideoStatus(), migrateOffers(), backfillMemberPhoneKeys()])
+        .catch((err) => logger.error('startup tasks failed', { err }));
+    })
+    .catch((err) => {
+      if (shuttingDown) return;
+      const retryInMs = Math.min(1000 * 2 ** attempt, MONGO_RETRY_MAX_MS);
+      logger.error('mongodb connection failed', { err, attempt, retryInMs });
+      mongoRetryTimer = setTimeout(connectToMongo, retryInMs, attempt + 1);
+    });
+}
+
+mongoose.connection.on('disconnected', () => {
+  if (!shuttingDown) logger.warn('mongodb disconnected');
+});
+mongoose.connection.on('reconnected', () => logger.info('mongodb reconnected'));
 
 /* =========================
-   CLOUDINARY CONFIG
+   MEDIA STORAGE
 ========================= */
 
+// MEDIA_STORAGE=local keeps uploads on disk (served from /media) so no Cloudinary account is needed.
+const MEDIA_STORAGE = (readEnv('MEDIA_STORAGE') || 'cloudinary').toLowerCase();
 const CLOUDINARY_CLOUD_NAME = readEnv('CLOUDINARY_CLOUD_NAME') || readEnv('CLOUD_NAME');
 const CLOUDINARY_API_KEY = readEnv('CLOUDINARY_API_KEY') || readEnv('CLOUD_API_KEY');
 const CLOUDINARY_API_SECRET = readEnv('CLOUDINARY_API_SECRET') || readEnv('CLOUD_API_SECRET');
 
-cloudinary.config({
-  cloud_name: CLOUDINARY_CLOUD_NAME,
-  api_key: CLOUDINARY_API_KEY,
-  api_secret: CLOUDINARY_API_SECRET
-});
+let mediaStorage;
 
-if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
-  console.error('❌ Missing one or more Cloudinary env vars: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET');
+if (MEDIA_STORAGE === 'local') {
+  mediaStorage = createLocalStorage({
+    rootDir: path.resolve(readEnv('MEDIA_LOCAL_DIR') || path.join(__dirname, 'uploads')),
+    // Absolute so pages served from another origin can load the files.
+    publicBaseUrl: readEnv('MEDIA_PUBLIC_URL') || `http://localhost:${PORT}`
+  });
+  app.use(mediaStorage.routePath, express.static(mediaStorage.rootDir, { maxAge: '30d', immutable: true, index: false }));
+
+  mediaStorage.check()
+    .then(() => logger.info('media storage ready', { driver: 'local', rootDir: mediaStorage.rootDir }))
+    .catch((err) => logger.error('local media directory is not writable', { err, rootDir: mediaStorage.rootDir }));
+} else if (MEDIA_STORAGE === 'cloudinary') {
+  if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+    logger.error('missing Cloudinary settings: set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET (or MEDIA_STORAGE=local)');
+    process.exit(1);
+  }
+
+  mediaStorage = createCloudinaryStorage({
+    cloudName: CLOUDINARY_CLOUD_NAME,
+    apiKey: CLOUDINARY_API_KEY,
+    apiSecret: CLOUDINARY_API_SECRET
+  });
+
+  mediaStorage.check()
+    .then(() => logger.info('media storage ready', { driver: 'cloudinary' }))
+    .catch((err) => {
+      // Usually CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET from different accounts.
+      logger.error('cloudinary credential check failed', { error: err?.message || err?.error?.message || String(err) });
+    });
+} else {
+  logger.error('unknown MEDIA_STORAGE (expected cloudinary or local)', { mediaStorage: MEDIA_STORAGE });
   process.exit(1);
 }
 
-cloudinary.api.ping()
-  .then(() => console.log('✅ Cloudinary credentials verified'))
-  .catch((err) => {
-    console.error('❌ Cloudinary API credential check failed. Verify CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET belong to the same account.');
-    console.error('❌ Cloudinary error:', err?.message || err);
-  });
+// Image and video URLs saved on records must point at our own storage, so pages never hotlink
+// (and deletes never chase) files elsewhere. URLs saved before this rule stay valid as long as
+// the record keeps them unchanged.
+function isAcceptedMediaUrl(url, existingUrls = []) {
+  return !url || mediaStorage.ownsUrl(url) || existingUrls.includes(url);
+}
 
 /* =========================
    EMAIL (CONTACT NOTIFICATIONS)
@@ -112,25 +263,87 @@ if (SMTP_HOST && CONTACT_TO_EMAIL) {
   try {
     mailTransporter = nodemailer.createTransport(transporterOptions);
     mailTransporter.verify()
-      .then(() => console.log('✅ Email transporter ready'))
-      .catch(err => console.warn('⚠️ Email transporter verification failed:', err.message));
+      .then(() => logger.info('email transporter ready', { host: SMTP_HOST }))
+      .catch((err) => logger.warn('email transporter verification failed', { err, host: SMTP_HOST }));
   } catch (err) {
-    console.error('❌ Failed to set up email transporter:', err);
+    logger.error('failed to set up email transporter', { err });
   }
 } else {
-  console.log('ℹ️ Contact email notifications disabled (missing SMTP_HOST or CONTACT_TO_EMAIL)');
+  logger.info('contact email notifications disabled (missing SMTP_HOST or CONTACT_TO_EMAIL)');
 }
 
 /* =========================
    MULTER SETUP
 ========================= */
 
-const upload = multer();
+const IMAGE_MAX_MB = Number(readEnv('IMAGE_MAX_MB')) || 10;
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const VIDEO_MAX_MB = Number(readEnv('VIDEO_MAX_MB')) || 500;
+// Videos are assembled on disk here, never in memory.
+const VIDEO_UPLOAD_DIR = path.resolve(readEnv('VIDEO_UPLOAD_TMP_DIR') || path.join(os.tmpdir(), 'zumba-video-uploads'));
+
+function rejectFileType(message) {
+  const err = new Error(message);
+  err.code = 'UNSUPPORTED_FILE_TYPE';
+  return err;
+}
+
+const imageUpload = multer({
+  limits: { fileSize: IMAGE_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(rejectFileType(`Only ${IMAGE_MIME_TYPES.join(', ')} images are accepted`));
+  }
+});
+
+const videoUpload = multer({
+  dest: VIDEO_UPLOAD_DIR,
+  limits: { fileSize: VIDEO_MAX_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (String(file.mimetype || '').startsWith('video/')) return cb(null, true);
+    cb(rejectFileType('Only video files are allowed'));
+  }
+});
+
+// Runs a single-file multer middleware with its errors turned into JSON responses.
+function acceptFile(middleware, maxMb) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Files must be ${maxMb} MB or smaller` });
+      }
+      if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(415).json({ error: err.message });
+      }
+      res.status(400).json({ error: err.message || 'Invalid upload' });
+    });
+  };
+}
+
+const acceptImageUpload = acceptFile(imageUpload.single('image'), IMAGE_MAX_MB);
+const acceptPosterUpload = acceptFile(imageUpload.single('poster'), IMAGE_MAX_MB);
+const acceptVideoUpload = acceptFile(videoUpload.single('video'), VIDEO_MAX_MB);
+
+// Restores arrive as a file (the JSON downloaded from /api/admin/backup), not a JSON body.
+const BACKUP_MAX_MB = Number(readEnv('BACKUP_MAX_MB')) || 50;
+const backupUpload = multer({ limits: { fileSize: BACKUP_MAX_MB * 1024 * 1024, files: 1 } });
+const acceptBackupUpload = acceptFile(backupUpload.single('backup'), BACKUP_MAX_MB);
 
 /* =========================
    SCHEMAS
 ========================= */
 
+// Branch keys used by the gallery pages (BRANCH_KEY in branch1.html / branch2.html).
+const BRANCHES = ['branch1', 'branch2'];
+const USER_ROLES = ['owner', 'branch-manager', 'trainer'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+// Class types match the program videos in assets/.
+const CLASS_TYPES = ['Zumba', 'Power Yoga', 'Pilates', 'Weight Training', 'Personal Training'];
+const INQUIRY_STATUSES = ['new', 'contacted', 'trial booked', 'joined', 'lost'];
+const VIDEO_STATUSES = ['draft', 'published'];
+const OFFER_STATUSES = ['draft', 'published', 'archived'];
+
 // Card data (branch wise)
 const cardDataSchema = new mongoose.Schema({
   branch: { type: String, required: true },
@@ -142,41 +355,150 @@ const cardDataSchema = new mongoose.Schema({
       details: String,
       name: String,
       beforeWeight: String,
-      afterWeight: String
+      afterWeight: String,
+      // Set when the card is generated from a member's progress entries (see MEMBER PROGRESS).
+      member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null },
+      progress: {
+        type: new mongoose.Schema({
+          startDate: String,
+          latestDate: String,
+          days: Number,
+          weightChangeKg: Number,
+          waistChangeCm: Number,
+          hipsChangeCm: Number,
+          bodyFatChange: Number,
+          label: String
+        }, { _id: false }),
+        default: null
+      }
     }
-  ]
+  ],
+  // Bumped on every write; clients send it back so stale tabs get a 409 instead of overwriting.
+  version: { type: Number, default: 0 },
+  updatedBy: { type: String, default: '' },
+  updatedAt: { type: Date, default: Date.now }
 });
 cardDataSchema.index({ branch: 1 });
 const CardData = mongoose.model('CardData', cardDataSchema);
 
+// Snapshot of a branch's cards after each write, used to restore earlier versions.
+const cardRevisionSchema = new mongoose.Schema({
+  branch: { type: String, required: true },
+  version: { type: Number, required: true },
+  cards: { type: Array, default: [] },
+  action: { type: String, default: '' },
+  cardNum: { type: Number, default: null },
+  by: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+cardRevisionSchema.index({ branch: 1, version: -1 }, { unique: true });
+const CardRevision = mongoose.model('CardRevision', cardRevisionSchema);
+
 // Image schema
 const imageSchema = new mongoose.Schema({
   url: { type: String, required: true },
-  cardNum: { type: Number, required: true },
-  slot: { type: String, enum: ['before', 'after'], required: true },
+  publicId: { type: String, default: '' },
+  branch: { type: String, default: '' },
+  // Gallery photos fill a card slot; progress photos belong to a member instead.
+  cardNum: { type: Number, default: null },
+  slot: { type: String, enum: ['before', 'after', 'progress'], required: true },
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null },
+  // Set until a progress photo is attached to an entry; unattached ones are swept after it.
+  expiresAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now }
 });
+imageSchema.index({ url: 1 });
+imageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
 const Image = mongoose.model('Image', imageSchema);
 
-// Latest offer schema
+// Promotional offers. A published offer is shown while now is inside [startsAt, endsAt);
+// a missing date means "open-ended" on that side. branch '' targets every branch.
 const offerSchema = new mongoose.Schema({
-  key: { type: String, required: true, unique: true },
   title: { type: String, default: '' },
   details: { type: String, default: '' },
   imageUrl: { type: String, default: '' },
+  ctaLabel: { type: String, default: '' },
+  ctaUrl: { type: String, default: '' },
+  branch: { type: String, enum: [...BRANCHES, ''], default: '' },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  priority: { type: Number, default: 0 },
+  status: { type: String, enum: OFFER_STATUSES, default: 'draft' },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
-offerSchema.index({ key: 1 }, { unique: true });
+offerSchema.index({ status: 1, priority: -1 });
 const Offer = mongoose.model('Offer', offerSchema);
 
+// Daily view/click counters for the offer modal, one document per offer per studio day.
+const offerStatSchema = new mongoose.Schema({
+  offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer', required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD (studio time)
+  views: { type: Number, default: 0 },
+  clicks: { type: Number, default: 0 }
+});
+offerStatSchema.index({ offer: 1, date: 1 }, { unique: true });
+offerStatSchema.index({ date: 1 });
+const OfferStat = mongoose.model('OfferStat', offerStatSchema);
+
+// Promo codes quoted on the contact form. A code with a `referrer` is that member's
+// "bring a friend" code. usageLimit 0 means unlimited; usageCount counts claimed enquiries.
+const promoCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String, default: '' },
+  discountType: { type: String, enum: ['percent', 'flat'], default: 'percent' },
+  discountValue: { type: Number, default: 0 },
+  branch: { type: String, enum: [...BRANCHES, ''], default: '' },
+  startsAt: { type: Date, default: null },
+  endsAt: { type: Date, default: null },
+  usageLimit: { type: Number, default: 0 },
+  usageCount: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null },
+  createdBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
 // Contact inquiry schema
 const contactInquirySchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true },
   phone: { type: String, default: '' },
   message: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now }
+  preferredBranch: { type: String, enum: [...BRANCHES, ''], default: '' },
+  status: { type: String, enum: INQUIRY_STATUSES, default: 'new' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  notes: [{
+    text: { type: String, required: true },
+    by: { type: String, default: '' },
+    at: { type: Date, default: Date.now }
+  }],
+  // Set once the enquiry has been converted into a Member.
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null },
+  // Offer the visitor last saw in the offer modal before enquiring (see index.html).
+  offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer', default: null },
+  // Promo code as typed (normalised) and the code it claimed, if it was valid.
+  promoCode: { type: String, default: '' },
+  promo: { type: mongoose.Schema.Types.ObjectId, ref: 'PromoCode', default: null },
+  // Who sent them: free text from the form, matched to a member by phone or via a referral code.
+  referredBy: { type: String, default: '' },
+  referrer: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', default: null },
+  // Suspected spam is kept for review but never triggers a notification email.
+  flagged: { type: Boolean, default: false },
+  flagReasons: { type: [String], default: [] },
+  ip: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
+contactInquirySchema.index({ status: 1, createdAt: -1 });
+contactInquirySchema.index({ email: 1, createdAt: -1 });
+contactInquirySchema.index({ preferredBranch: 1, createdAt: -1 });
+contactInquirySchema.index({ offer: 1, createdAt: -1 });
+contactInquirySchema.index({ promo: 1, createdAt: -1 });
+contactInquirySchema.index({ referrer: 1, createdAt: -1 });
 const ContactInquiry = mongoose.model('ContactInquiry', contactInquirySchema);
 
 // Video reviews schema
@@ -186,499 +508,6405 @@ const videoReviewSchema = new mongoose.Schema({
   fileName: { type: String, default: '' },
   mimeType: { type: String, default: '' },
   publicId: { type: String, default: '' },
-  uploadedAt: { type: Date, default: Date.now }
+  memberName: { type: String, default: '' },
+  branch: { type: String, enum: ['', ...BRANCHES], default: '' },
+  program: { type: String, enum: ['', ...CLASS_TYPES], default: '' },
+  caption: { type: String, default: '' },
+  // New uploads stay hidden from video-reviews.html until staff publish them.
+  status: { type: String, enum: VIDEO_STATUSES, default: 'draft' },
+  featured: { type: Boolean, default: false },
+  sortOrder: { type: Number, default: 0 },
+  durationSeconds: { type: Number, default: null },
+  bytes: { type: Number, default: 0 },
+  posterUrl: { type: String, default: '' },
+  // Only set when the poster is a separate stored file (local storage); Cloudinary derives it from the video.
+  posterPublicId: { type: String, default: '' },
+  uploadedAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
+videoReviewSchema.index({ status: 1, featured: -1, sortOrder: 1, uploadedAt: -1 });
 const VideoReview = mongoose.model('VideoReview', videoReviewSchema);
 
+// Chunked upload in progress: parts are written into tempPath at their offsets until complete.
+const videoUploadSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  fileName: { type: String, default: '' },
+  mimeType: { type: String, default: '' },
+  size: { type: Number, required: true },
+  chunkSize: { type: Number, required: true },
+  totalParts: { type: Number, required: true },
+  receivedParts: { type: [Number], default: [] },
+  tempPath: { type: String, required: true },
+  details: { type: Object, default: {} },
+  status: { type: String, enum: ['open', 'completing', 'completed', 'aborted'], default: 'open' },
+  // Parts being written right now; completing waits until none of these leases is live.
+  partWrites: [{ _id: false, token: String, until: Date }],
+  video: { type: mongoose.Schema.Types.ObjectId, ref: 'VideoReview', default: null },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+videoUploadSessionSchema.index({ expiresAt: 1 });
+const VideoUploadSession = mongoose.model('VideoUploadSession', videoUploadSessionSchema);
+
+// The old singleton "latestOffer" document becomes an always-on published offer; syncIndexes
+// drops its unique key index.
+async function migrateOffers() {
+  await Offer.syncIndexes();
+  const result = await Offer.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published', branch: '', priority: 0, startsAt: null, endsAt: null }, $unset: { key: '' } },
+    { strict: false }
+  );
+  if (result.modifiedCount) {
+    logger.info('migrated offers to scheduled offers', { count: result.modifiedCount });
+  }
+}
+
+// Videos uploaded before moderation existed were already public.
+async function backfillVideoStatus() {
+  const result = await VideoReview.updateMany({ status: { $exists: false } }, { $set: { status: 'published' } });
+  if (result.modifiedCount) {
+    logger.info('marked existing video reviews as published', { count: result.modifiedCount });
+  }
+}
+
+// Members enrolled before phoneKey existed get it filled in from their phone.
+async function backfillMemberPhoneKeys() {
+  const members = await Member.find({ phoneKey: { $exists: false } }).select('phone').lean();
+  if (!members.length) return;
+  await Member.bulkWrite(members.map((member) => ({
+    updateOne: { filter: { _id: member._id }, update: { $set: { phoneKey: toPhoneKey(member.phone) } } }
+  })));
+  logger.info('filled in member phone keys', { count: members.length });
+}
+
+// Staff accounts (password stored as scrypt hash, never in plain text)
+// - owner: everything, including offers, inquiries and staff management
+// - branch-manager / trainer: gallery edits for their assigned branch only
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: { type: String, default: '' },
+  email: { type: String, default: '' },
+  role: { type: String, enum: USER_ROLES, default: 'trainer' },
+  branch: { type: String, enum: [...BRANCHES, ''], default: '' },
+  status: { type: String, enum: ['invited', 'active', 'disabled'], default: 'invited' },
+  passwordHash: { type: String, default: '' },
+  // Single-use token for accepting an invite or setting a new password after a reset.
+  setupTokenHash: { type: String, default: '' },
+  setupTokenExpiresAt: { type: Date, default: null },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastLoginAt: { type: Date, default: null }
+});
+const User = mongoose.model('User', userSchema);
+
+// Staff sessions (only a SHA-256 of the bearer token is stored)
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+// MongoDB removes expired sessions automatically.
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
+
+// Weekly class timetable (services.html "Class Timings")
+const classSessionSchema = new mongoose.Schema({
+  branch: { type: String, enum: BRANCHES, required: true },
+  weekday: { type: String, enum: WEEKDAYS, required: true },
+  startTime: { type: String, required: true }, // 24h "HH:MM"
+  durationMinutes: { type: Number, default: 60, min: 1 },
+  classType: { type: String, enum: CLASS_TYPES, required: true },
+  trainer: { type: String, default: '' },
+  capacity: { type: Number, default: 0, min: 0 }, // 0 = no limit
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+classSessionSchema.index({ branch: 1, weekday: 1, startTime: 1 });
+const ClassSession = mongoose.model('ClassSession', classSessionSchema);
+
+// Class bookings (one row per person per session date)
+const bookingSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession', required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD" in studio time
+  branch: { type: String, enum: BRANCHES, required: true },
+  name: { type: String, required: true },
+  phone: { type: String, required: true },
+  email: { type: String, default: '' },
+  status: { type: String, enum: ['confirmed', 'waitlisted', 'cancelled'], required: true },
+  // Lets a visitor cancel without an account; only the hash is stored.
+  cancelTokenHash: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  promotedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null }
+});
+bookingSchema.index({ session: 1, date: 1, status: 1, createdAt: 1 });
+const Booking = mongoose.model('Booking', bookingSchema);
+
+// Membership plans (services.html "Membership Plans & Fees")
+const planPriceSchema = new mongoose.Schema({
+  months: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const planSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  prices: { type: [planPriceSchema], default: [] },
+  // Per-branch overrides replace the base price for the same duration.
+  branchPrices: [{
+    _id: false,
+    branch: { type: String, enum: BRANCHES, required: true },
+    prices: { type: [planPriceSchema], default: [] }
+  }],
+  // Optional promotion: discount shown while the linked offer is active.
+  promo: {
+    offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer', default: null },
+    discountType: { type: String, enum: ['percent', 'flat'], default: 'percent' },
+    discountValue: { type: Number, default: 0, min: 0 }
+  },
+  sortOrder: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+const Plan = mongoose.model('Plan', planSchema);
+
+// Members and their subscription lifecycle. "expired" is derived from expiryDate,
+// so stored status is only ever active / frozen / cancelled.
+const memberSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  phone: { type: String, required: true },
+  // Last 10 digits of phone, so check-in finds the member however the number is typed.
+  phoneKey: { type: String, default: '' },
+  email: { type: String, default: '' },
+  branch: { type: String, enum: BRANCHES, required: true },
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan', default: null },
+  planName: { type: String, default: '' },
+  startDate: { type: Date, required: true },
+  expiryDate: { type: Date, required: true },
+  status: { type: String, enum: ['active', 'frozen', 'cancelled'], default: 'active' },
+  frozenAt: { type: Date, default: null },
+  inquiry: { type: mongoose.Schema.Types.ObjectId, ref: 'ContactInquiry', default: null },
+  history: [{
+    _id: false,
+    type: { type: String, enum: ['enrolled', 'renewed', 'frozen', 'unfrozen', 'cancelled'], required: true },
+    at: { type: Date, default: Date.now },
+    by: { type: String, default: '' },
+    months: { type: Number, default: 0 },
+    amountPaid: { type: Number, default: 0 },
+    planName: { type: String, default: '' },
+    note: { type: String, default: '' }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+memberSchema.index({ branch: 1, status: 1, expiryDate: 1 });
+memberSchema.index({ phone: 1 });
+memberSchema.index({ phoneKey: 1, branch: 1 });
+const Member = mongoose.model('Member', memberSchema);
+
+// Attendance check-ins. Session details are copied in so reports survive timetable edits.
+const attendanceSchema = new mongoose.Schema({
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', required: true },
+  session: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession', required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD" in studio time
+  branch: { type: String, enum: BRANCHES, required: true },
+  weekday: { type: String, enum: WEEKDAYS, required: true },
+  startTime: { type: String, required: true },
+  classType: { type: String, default: '' },
+  checkedInBy: { type: String, default: '' },
+  checkedInAt: { type: Date, default: Date.now }
+});
+attendanceSchema.index({ member: 1, session: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ branch: 1, date: 1 });
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+
+// One measurement visit for a member. Any measurement may be missing; photos live in media storage.
+const progressEntrySchema = new mongoose.Schema({
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member', required: true },
+  branch: { type: String, enum: BRANCHES, required: true },
+  date: { type: String, required: true }, // "YYYY-MM-DD" in studio time
+  weightKg: { type: Number, default: null },
+  waistCm: { type: Number, default: null },
+  hipsCm: { type: Number, default: null },
+  bodyFatPercent: { type: Number, default: null },
+  photos: [{
+    _id: false,
+    url: { type: String, required: true },
+    publicId: { type: String, default: '' }
+  }],
+  note: { type: String, default: '' },
+  recordedBy: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+progressEntrySchema.index({ member: 1, date: 1 }, { unique: true });
+progressEntrySchema.index({ 'photos.url': 1 });
+const ProgressEntry = mongoose.model('ProgressEntry', progressEntrySchema);
+
+// Admin edits to the built-in email templates (see email-templates.js); missing keys use the defaults.
+const emailTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  subject: { type: String, default: '' },
+  html: { type: String, default: '' },
+  text: { type: String, default: '' },
+  updatedBy: { type: String, default: '' },
+  updatedAt: { type: Date, default: Date.now }
+});
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+// Every outgoing email is persisted here first and delivered by the outbox worker.
+const OUTBOUND_EMAIL_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+const outboundEmailSchema = new mongoose.Schema({
+  kind: { type: String, default: '' },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  replyTo: { type: String, default: '' },
+  subject: { type: String, default: '' },
+  html: { type: String, default: '' },
+  text: { type: String, default: '' },
+  status: { type: String, enum: OUTBOUND_EMAIL_STATUSES, default: 'queued' },
+  attemptCount: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 6 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: '' },
+  sentAt: { type: Date, default: null },
+  attempts: [{
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, default: false },
+    response: { type: String, default: '' },
+    error: { type: String, default: '' }
+  }]
+}, { timestamps: true });
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ createdAt: -1 });
+const OutboundEmail = mongoose.model('OutboundEmail', outboundEmailSchema);
+
+// Outgoing webhooks: owners subscribe a URL to studio events (see WEBHOOKS below).
+const WEBHOOK_EVENTS = [
+  'inquiry.created',
+  'offer.published',
+  'offer.removed',
+  'video.uploaded',
+  'video.deleted',
+  'gallery.card_updated'
+];
+// Only sent by POST /api/webhooks/:id/test; not something to subscribe to.
+const WEBHOOK_TEST_EVENT = 'webhook.test';
+const WEBHOOK_DELIVERY_STATUSES = ['queued', 'sending', 'delivered', 'failed'];
+
+const webhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: { type: String, default: '' },
+  events: [{ type: String, enum: WEBHOOK_EVENTS }],
+  // Shared HMAC key; only returned when the webhook is created or the secret rotated.
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String, default: '' }
+}, { timestamps: true });
+webhookSchema.index({ active: 1, events: 1 });
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+// One event for one webhook: the retry queue entry and its delivery log.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  // Same for every attempt, so receivers can ignore a delivery they already handled.
+  eventId: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: 'queued' },
+  attemptCount: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: '' },
+  lastStatusCode: { type: Number, default: null },
+  deliveredAt: { type: Date, default: null },
+  attempts: [{
+    at: { type: Date, default: Date.now },
+    ok: { type: Boolean, default: false },
+    statusCode: { type: Number, default: null },
+    durationMs: { type: Number, default: 0 },
+    response: { type: String, default: '' },
+    error: { type: String, default: '' }
+  }]
+}, { timestamps: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+// The log keeps WEBHOOK_LOG_DAYS (default 30) of deliveries.
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: (Number(readEnv('WEBHOOK_LOG_DAYS')) || 30) * 24 * 60 * 60 });
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// When each cached area (gallery branch, offers, videos) last changed. Kept in MongoDB so every
+// instance sends the same Last-Modified, and so deletions move it forward too.
+const cacheStampSchema = new mongoose.Schema({
+  _id: { type: String },
+  changedAt: { type: Date, required: true }
+}, { versionKey: false });
+const CacheStamp = mongoose.model('CacheStamp', cacheStampSchema);
+
 const CACHE_TTL_MS = 60 * 1000;
-const branchCardsCache = new Map();
-const latestOfferCache = { value: null, expiresAt: 0 };
+const CACHE_STORES = ['memory', 'mongo'];
+// 'mongo' shares cached reads between instances; 'memory' is enough for a single server.
+const CACHE_STORE = CACHE_STORES.includes(readEnv('CACHE_STORE')) ? readEnv('CACHE_STORE') : 'memory';
+const readCacheStore = CACHE_STORE === 'mongo' ? createMongoCache(mongoose.connection) : createMemoryCache();
 
+// Expiry check for the small per-process caches (readiness checks).
 function readCache(entry) {
   if (!entry || Date.now() > entry.expiresAt) return null;
   return entry.value;
 }
 
-function writeCache(target, value) {
-  target.value = value;
-  target.expiresAt = Date.now() + CACHE_TTL_MS;
+/**
+ * Returns the cached value for `key`, or runs `load()` and caches its result. `ttlMs` may be a
+ * function of the loaded value. A failing cache store only costs the database query.
+ */
+async function cachedRead(key, load, { ttlMs = CACHE_TTL_MS } = {}) {
+  try {
+    const cached = await readCacheStore.get(key);
+    if (cached !== null && cached !== undefined) return cached;
+  } catch (err) {
+    logger.warn('read cache lookup failed', { err, key });
+  }
+
+  const value = await load();
+  const ttl = typeof ttlMs === 'function' ? ttlMs(value) : ttlMs;
+  if (ttl > 0) {
+    await readCacheStore.set(key, value, ttl).catch((err) => logger.warn('read cache write failed', { err, key }));
+  }
+  return value;
+}
+
+async function invalidateCache(prefix, stampIds) {
+  const changedAt = new Date();
+  await Promise.all([
+    readCacheStore.deletePrefix(prefix),
+    CacheStamp.bulkWrite(stampIds.map((id) => ({
+      updateOne: { filter: { _id: id }, update: { $max: { changedAt } }, upsert: true }
+    })))
+  ]).catch((err) => logger.error('read cache invalidation failed', { err, prefix }));
+}
+
+async function getChangedAt(stampId) {
+  const stamp = await CacheStamp.findById(stampId).lean();
+  return stamp?.changedAt || null;
 }
 
 function clearBranchCache(branch) {
-  if (branch) {
-    branchCardsCache.delete(branch);
-    return;
-  }
-  branchCardsCache.clear();
+  if (branch) return invalidateCache(`cards:${branch}`, [`cards:${branch}`]);
+  return invalidateCache('cards:', BRANCHES.map((name) => `cards:${name}`));
 }
 
 function clearOfferCache() {
-  latestOfferCache.value = null;
-  latestOfferCache.expiresAt = 0;
+  return invalidateCache('offers:', ['offers']);
 }
 
-function extractCloudinaryPublicIdFromUrl(url) {
-  if (!url || typeof url !== 'string') return '';
+function clearVideoCache() {
+  return invalidateCache('videos:', ['videos']);
+}
 
-  try {
-    const parsed = new URL(url);
-    const pathParts = parsed.pathname.split('/').filter(Boolean);
-    const uploadIndex = pathParts.findIndex((part) => part === 'upload');
-    if (uploadIndex === -1 || uploadIndex + 1 >= pathParts.length) return '';
+function latestDate(...dates) {
+  const times = dates.filter(Boolean).map((date) => new Date(date).getTime()).filter(Number.isFinite);
+  return times.length ? new Date(Math.max(...times)) : null;
+}
 
-    const afterUpload = pathParts.slice(uploadIndex + 1);
+// Serialises a response once, together with the validators conditional GETs are checked against.
+// Unless given one, the ETag is a hash of the body, so every instance computes the same one.
+function toCacheableResponse(body, lastModified, { etag } = {}) {
+  const json = JSON.stringify(body);
+  return {
+    json,
+    etag: etag || `"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+    lastModified: lastModified ? new Date(lastModified).toUTCString() : null
+  };
+}
 
-    // Skip Cloudinary version segment (e.g., v1712345678) if present.
-    if (afterUpload[0] && /^v\d+$/.test(afterUpload[0])) {
-      afterUpload.shift();
-    }
+// Browsers may keep the body but must revalidate; an unchanged resource costs a bodyless 304.
+function sendCacheable(req, res, response, { cacheControl = 'public, no-cache' } = {}) {
+  res.set('Cache-Control', cacheControl);
+  res.set('ETag', response.etag);
+  if (response.lastModified) res.set('Last-Modified', response.lastModified);
+  if (req.fresh) return res.status(304).end();
+  res.type('json').send(response.json);
+}
 
-    if (!afterUpload.length) return '';
+const VIDEO_FIELDS = ['title', 'memberName', 'branch', 'program', 'caption', 'status', 'featured', 'sortOrder'];
+const VIDEO_TEXT_LIMITS = { title: 120, memberName: 100, caption: 500 };
 
-    const joined = afterUpload.join('/');
-    return joined.replace(/\.[^/.]+$/, '');
-  } catch (err) {
-    return '';
+// Validates testimonial metadata; only the fields present are checked.
+function parseVideoInput(body) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
+
+  for (const field of VIDEO_FIELDS) {
+    if (input[field] !== undefined) values[field] = input[field];
+  }
+
+  Object.entries(VIDEO_TEXT_LIMITS).forEach(([field, max]) => {
+    if (values[field] === undefined) return;
+    values[field] = String(values[field]).trim();
+    if (values[field].length > max) errors.push(`${field} must be at most ${max} characters`);
+  });
+  if (values.featured !== undefined) values.featured = values.featured === true || values.featured === 'true';
+  if (values.sortOrder !== undefined) values.sortOrder = Number(values.sortOrder);
+
+  if (values.branch !== undefined && !['', ...BRANCHES].includes(values.branch)) {
+    errors.push(`branch must be one of: ${BRANCHES.join(', ')}`);
+  }
+  if (values.program !== undefined && !['', ...CLASS_TYPES].includes(values.program)) {
+    errors.push(`program must be one of: ${CLASS_TYPES.join(', ')}`);
+  }
+  if (values.status !== undefined && !VIDEO_STATUSES.includes(values.status)) {
+    errors.push(`status must be one of: ${VIDEO_STATUSES.join(', ')}`);
   }
+  if (values.sortOrder !== undefined && !Number.isInteger(values.sortOrder)) {
+    errors.push('sortOrder must be a whole number');
+  }
+
+  return { values, errors };
 }
 
-function extractCloudinaryCloudNameFromUrl(url) {
-  if (!url || typeof url !== 'string') return '';
+// An empty branch shows the video on every branch page, which only owners may do.
+function videoBranchError(user, branch) {
+  if (canAccessBranch(user, branch)) return null;
+  return branch ? 'You can only tag videos with your assigned branch' : 'Only owners can publish videos for every branch';
+}
 
-  try {
-    const parsed = new URL(url);
-    const parts = parsed.pathname.split('/').filter(Boolean);
-    // Expected URL shape: /<cloud_name>/<resource_type>/upload/...
-    return parts[0] || '';
-  } catch (err) {
-    return '';
+const OFFER_FIELDS = ['title', 'details', 'imageUrl', 'ctaLabel', 'ctaUrl', 'branch', 'startsAt', 'endsAt', 'priority', 'status'];
+const OFFER_TEXT_LIMITS = { title: 120, details: 2000, imageUrl: 1000, ctaLabel: 40, ctaUrl: 1000 };
+
+// A bare "YYYY-MM-DD" is a studio-local day: startsAt opens at its midnight, endsAt closes
+// at the following midnight so the offer runs through the whole end date.
+function parseOfferDate(value, { endOfDay = false } = {}) {
+  if (value === null || value === '') return null;
+  if (isValidBookingDate(value)) {
+    const start = getClassStart(value, '00:00');
+    return endOfDay ? new Date(start.getTime() + DAY_MS) : start;
   }
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? undefined : parsed;
 }
 
-/* =========================
-   ROUTES
-========================= */
+const OFFER_IMAGE_URL_ERROR = 'imageUrl must be an image uploaded with POST /api/offers/images';
 
-// ✅ Upload Image
-app.post('/api/upload', upload.single('image'), async (req, res) => {
-  const { branch, cardNum, slot } = req.body;
+// CTA links may point at our own pages, the web, a phone number or an email address.
+function isAllowedCtaUrl(url) {
+  return /^(https?:\/\/|tel:|mailto:)/i.test(url) || /^(\/(?!\/)|#|[\w-]+\.html\b)/.test(url);
+}
 
-  const cardNumNum = Number(cardNum);
+// Validates an offer payload. With `partial`, only the fields present are checked.
+function parseOfferInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
 
-  if (!req.file || !branch || !Number.isFinite(cardNumNum) || !slot) {
-    return res.status(400).json({ error: 'Missing image, branch, cardNum or slot' });
+  for (const field of OFFER_FIELDS) {
+    if (input[field] !== undefined) values[field] = input[field];
   }
 
-  try {
-    const uploadToCloudinary = (buffer) => {
-      return new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          { folder: 'zumba-gallery' },
-          (err, result) => {
-            if (result) resolve(result);
-            else reject(err);
-          }
-        );
-        streamifier.createReadStream(buffer).pipe(stream);
-      });
-    };
+  Object.entries(OFFER_TEXT_LIMITS).forEach(([field, max]) => {
+    if (values[field] === undefined) return;
+    values[field] = String(values[field] ?? '').trim();
+    if (values[field].length > max) errors.push(`${field} must be at most ${max} characters`);
+  });
+  if (values.priority !== undefined) values.priority = Number(values.priority);
 
-    const result = await uploadToCloudinary(req.file.buffer);
+  ['startsAt', 'endsAt'].forEach((field) => {
+    if (values[field] === undefined) return;
+    const parsed = parseOfferDate(values[field], { endOfDay: field === 'endsAt' });
+    if (parsed === undefined) errors.push(`${field} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    values[field] = parsed;
+  });
 
-    // Remove old image for same card & slot
-    await Image.deleteMany({ cardNum: cardNumNum, slot });
+  if (!partial && !values.title && !values.details && !values.imageUrl) {
+    errors.push('title, details or imageUrl is required');
+  }
+  if (values.branch !== undefined && !['', ...BRANCHES].includes(values.branch)) {
+    errors.push(`branch must be one of: ${BRANCHES.join(', ')} (or empty for all branches)`);
+  }
+  if (values.status !== undefined && !OFFER_STATUSES.includes(values.status)) {
+    errors.push(`status must be one of: ${OFFER_STATUSES.join(', ')}`);
+  }
+  if (values.priority !== undefined && !Number.isInteger(values.priority)) {
+    errors.push('priority must be a whole number');
+  }
+  if (values.ctaUrl && !isAllowedCtaUrl(values.ctaUrl)) {
+    errors.push('ctaUrl must be an http(s), tel: or mailto: link, or a page on this site');
+  }
+  if (values.startsAt && values.endsAt && values.endsAt <= values.startsAt) {
+    errors.push('endsAt must be after startsAt');
+  }
 
-    const image = new Image({
-      url: result.secure_url,
-      cardNum: cardNumNum,
-      slot
-    });
+  return { values, errors };
+}
 
-    await image.save();
+function getOfferState(offer, now = new Date()) {
+  if (offer.status !== 'published') return offer.status;
+  if (offer.startsAt && offer.startsAt > now) return 'scheduled';
+  if (offer.endsAt && offer.endsAt <= now) return 'expired';
+  return 'active';
+}
 
-    // Also persist the URL into the branch card data so the gallery can reload it.
-    // (The frontend loads images from CardData via /api/load-cards.)
-    let cardData = await CardData.findOne({ branch });
-    if (!cardData) {
-      cardData = new CardData({ branch, cards: [] });
-    }
+// What index.html renders; title/details/imageUrl/updatedAt are the original /latest fields.
+function toPublicOffer(offer) {
+  return {
+    id: offer._id,
+    title: offer.title || '',
+    details: offer.details || '',
+    imageUrl: offer.imageUrl || '',
+    ctaLabel: offer.ctaLabel || '',
+    ctaUrl: offer.ctaUrl || '',
+    branch: offer.branch || '',
+    startsAt: offer.startsAt || null,
+    endsAt: offer.endsAt || null,
+    updatedAt: offer.updatedAt
+  };
+}
 
-    let card = cardData.cards.find(c => c.cardNum === cardNumNum);
-    if (!card) {
-      cardData.cards.push({ cardNum: cardNumNum });
-      card = cardData.cards[cardData.cards.length - 1];
-    }
+function toOfferSummary(offer) {
+  const summary = typeof offer.toObject === 'function' ? offer.toObject() : { ...offer };
+  summary.state = getOfferState(summary);
+  return summary;
+}
 
-    if (slot === 'before') card.beforeImg = result.secure_url;
-    if (slot === 'after') card.afterImg = result.secure_url;
+/**
+ * Published offers running right now, best first: higher priority, then (when a branch is
+ * asked for) that branch's own deals ahead of all-branch ones, then the most recently started.
+ * Without a branch every live offer is included. Cached until the TTL or the next moment an
+ * offer starts or ends, whichever comes first; `lastModified` is the last time that set changed.
+ */
+function loadActiveOffers(branch = '') {
+  return cachedRead(`offers:active:${branch}`, async () => {
+    const now = new Date();
+    const scope = branch ? { branch: { $in: ['', branch] } } : {};
+    const [offers, nextStart, lastEnded, changedAt] = await Promise.all([
+      Offer.find({
+        ...scope,
+        status: 'published',
+        $and: [
+          { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+          { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+        ]
+      }).lean(),
+      Offer.findOne({ ...scope, status: 'published', startsAt: { $gt: now } }).sort({ startsAt: 1 }).select('startsAt').lean(),
+      Offer.findOne({ ...scope, status: 'published', endsAt: { $lte: now } }).sort({ endsAt: -1 }).select('endsAt').lean(),
+      getChangedAt('offers')
+    ]);
 
-    await cardData.save();
-    clearBranchCache(branch);
+    const startedAt = (offer) => (offer.startsAt || offer.createdAt || 0).valueOf();
+    offers.sort((a, b) =>
+      (b.priority || 0) - (a.priority || 0) ||
+      (branch ? Number(b.branch === branch) - Number(a.branch === branch) : 0) ||
+      startedAt(b) - startedAt(a));
 
-    res.status(201).json({
-      url: result.secure_url,
-      cardNum: cardNumNum,
-      slot,
-      branch
-    });
+    const boundaries = [now.getTime() + CACHE_TTL_MS, nextStart?.startsAt?.getTime()]
+      .concat(offers.map((offer) => offer.endsAt?.getTime()))
+      .filter(Boolean);
+    const lastModified = latestDate(
+      changedAt,
+      lastEnded?.endsAt,
+      ...offers.map((offer) => latestDate(offer.updatedAt, offer.startsAt))
+    );
+    return { offers, expiresAt: Math.min(...boundaries), lastModified };
+  }, { ttlMs: (result) => result.expiresAt - Date.now() });
+}
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Image upload failed' });
-  }
-});
+async function findActiveOffers(branch = '') {
+  return (await loadActiveOffers(branch)).offers;
+}
 
-// ✅ Get Images
-app.get('/api/images', async (req, res) => {
-  try {
-    const { cardNum, slot } = req.query;
-    const filter = {};
-    if (cardNum) filter.cardNum = cardNum;
-    if (slot) filter.slot = slot;
+// The top running offer for all branches: what the old single `latestOffer` document was.
+async function findGlobalActiveOffer() {
+  return (await findActiveOffers()).find((offer) => !offer.branch) || null;
+}
 
-    const images = await Image.find(filter).sort({ createdAt: 1 });
-    res.json(images);
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to load images' });
+// Cached public response built from the active offers; expires together with them.
+function cachedOffersResponse(key, branch, toBody) {
+  return cachedRead(`offers:${key}:${branch}`, async () => {
+    const { offers, expiresAt, lastModified } = await loadActiveOffers(branch);
+    return { ...toCacheableResponse(toBody(offers), lastModified), expiresAt };
+  }, { ttlMs: (response) => response.expiresAt - Date.now() });
+}
+
+const PROMO_CODE_FIELDS = ['code', 'description', 'discountType', 'discountValue', 'branch', 'startsAt', 'endsAt', 'usageLimit', 'active', 'referrer'];
+
+function normalizePromoCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Validates a promo code payload. With `partial`, only the fields present are checked.
+function parsePromoCodeInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
+
+  for (const field of PROMO_CODE_FIELDS) {
+    if (input[field] !== undefined) values[field] = input[field];
   }
-});
 
-// ✅ Save Cards (branch wise)
-app.post('/api/save-cards', async (req, res) => {
-  const { branch, cards } = req.body;
+  if (values.code !== undefined) values.code = normalizePromoCode(values.code);
+  if (values.description !== undefined) values.description = String(values.description || '').trim();
+  if (values.discountValue !== undefined) values.discountValue = Number(values.discountValue);
+  if (values.usageLimit !== undefined) values.usageLimit = Number(values.usageLimit);
+  if (values.active !== undefined) values.active = values.active === true || values.active === 'true';
+  if (values.referrer !== undefined) values.referrer = values.referrer || null;
 
-  if (!branch || !Array.isArray(cards)) {
-    return res.status(400).json({ error: 'Invalid payload' });
+  ['startsAt', 'endsAt'].forEach((field) => {
+    if (values[field] === undefined) return;
+    const parsed = parseOfferDate(values[field], { endOfDay: field === 'endsAt' });
+    if (parsed === undefined) errors.push(`${field} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    values[field] = parsed;
+  });
+
+  if (!partial && !values.code) errors.push('code is required');
+  if (values.code !== undefined && !/^[A-Z0-9-]{3,30}$/.test(values.code)) {
+    errors.push('code must be 3-30 letters, digits or dashes');
+  }
+  if (values.description !== undefined && values.description.length > 200) {
+    errors.push('description must be at most 200 characters');
+  }
+  if (values.discountType !== undefined && !['percent', 'flat'].includes(values.discountType)) {
+    errors.push('discountType must be percent or flat');
+  }
+  // A partial update may change the value alone; the route re-checks it against the stored type.
+  const discountType = values.discountType || (partial ? null : 'percent');
+  if (values.discountValue !== undefined && (!Number.isFinite(values.discountValue) || values.discountValue < 0 ||
+    (discountType === 'percent' && values.discountValue > 100))) {
+    errors.push('discountValue is out of range');
+  }
+  if (values.usageLimit !== undefined && !(Number.isInteger(values.usageLimit) && values.usageLimit >= 0)) {
+    errors.push('usageLimit must be zero (unlimited) or a positive whole number');
+  }
+  if (values.branch !== undefined && !['', ...BRANCHES].includes(values.branch)) {
+    errors.push(`branch must be one of: ${BRANCHES.join(', ')} (or empty for all branches)`);
+  }
+  if (values.referrer && !mongoose.Types.ObjectId.isValid(values.referrer)) {
+    errors.push('referrer must be a member id');
+  }
+  if (values.startsAt && values.endsAt && values.endsAt <= values.startsAt) {
+    errors.push('endsAt must be after startsAt');
   }
 
-  try {
-    await CardData.deleteMany({ branch });
-    await new CardData({ branch, cards }).save();
-    clearBranchCache(branch);
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to save cards' });
+  return { values, errors };
+}
+
+// Why a code cannot be used right now, or '' when it can.
+function getPromoCodeProblem(promo, { branch = '', now = new Date() } = {}) {
+  if (!promo || !promo.active) return 'This promo code is not valid';
+  if (promo.startsAt && promo.startsAt > now) return 'This promo code is not active yet';
+  if (promo.endsAt && promo.endsAt <= now) return 'This promo code has expired';
+  if (promo.usageLimit && promo.usageCount >= promo.usageLimit) return 'This promo code has been fully redeemed';
+  if (promo.branch && branch && promo.branch !== branch) {
+    return `This promo code is only valid at ${formatBranchLabel(promo.branch)}`;
   }
-});
+  return '';
+}
 
-// ✅ Load Cards
-app.get('/api/load-cards', async (req, res) => {
-  const { branch } = req.query;
-  if (!branch) return res.status(400).json({ error: 'Missing branch' });
+// Takes one use of a code. The limit check and increment are a single atomic update, so
+// concurrent enquiries cannot push a code past its usageLimit.
+function claimPromoCode(promo) {
+  return PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      $or: [{ usageLimit: 0 }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+}
 
-  try {
-    const cachedCards = readCache(branchCardsCache.get(branch));
-    if (cachedCards) {
-      return res.json({ cards: cachedCards });
-    }
+function toPublicPromoCode(promo) {
+  return {
+    code: promo.code,
+    description: promo.description || '',
+    discountType: promo.discountType,
+    discountValue: promo.discountValue,
+    branch: promo.branch || '',
+    endsAt: promo.endsAt || null
+  };
+}
 
-    const data = await CardData.findOne({ branch }).lean();
-    // Frontend expects an object with a `cards` array
-    const cards = data ? data.cards : [];
-    branchCardsCache.set(branch, { value: cards, expiresAt: Date.now() + CACHE_TTL_MS });
-    res.json({ cards });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to load cards' });
+const CLASS_SESSION_FIELDS = ['branch', 'weekday', 'startTime', 'durationMinutes', 'classType', 'trainer', 'capacity', 'active'];
+
+// Validates a class session payload. With `partial`, only the fields present are checked.
+function parseClassSessionInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
+
+  for (const field of CLASS_SESSION_FIELDS) {
+    if (input[field] !== undefined) values[field] = input[field];
   }
-});
 
-// ✅ Latest Offer (index.html)
-app.get('/api/offers/latest', async (req, res) => {
-  try {
-    const cachedOffer = readCache(latestOfferCache);
-    if (cachedOffer) {
-      return res.json(cachedOffer);
+  if (values.weekday !== undefined) values.weekday = String(values.weekday).toLowerCase();
+  if (values.durationMinutes !== undefined) values.durationMinutes = Number(values.durationMinutes);
+  if (values.capacity !== undefined) values.capacity = Number(values.capacity);
+  if (values.active !== undefined) values.active = values.active === true || values.active === 'true';
+  if (values.trainer !== undefined) values.trainer = String(values.trainer).trim();
+
+  if (!partial) {
+    for (const field of ['branch', 'weekday', 'startTime', 'classType']) {
+      if (!values[field]) errors.push(`${field} is required`);
     }
+  }
 
-    const offer = await Offer.findOne({ key: 'latestOffer' }).lean();
-    if (!offer) return res.json(null);
-    const payload = {
-      title: offer.title || '',
-      details: offer.details || '',
-      imageUrl: offer.imageUrl || '',
-      updatedAt: offer.updatedAt
+  if (values.branch !== undefined && !BRANCHES.includes(values.branch)) {
+    errors.push(`branch must be one of: ${BRANCHES.join(', ')}`);
+  }
+  if (values.weekday !== undefined && !WEEKDAYS.includes(values.weekday)) {
+    errors.push(`weekday must be one of: ${WEEKDAYS.join(', ')}`);
+  }
+  if (values.startTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(values.startTime)) {
+    errors.push('startTime must be in 24h HH:MM format');
+  }
+  if (values.classType !== undefined && !CLASS_TYPES.includes(values.classType)) {
+    errors.push(`classType must be one of: ${CLASS_TYPES.join(', ')}`);
+  }
+  if (values.durationMinutes !== undefined && !(Number.isInteger(values.durationMinutes) && values.durationMinutes > 0)) {
+    errors.push('durationMinutes must be a positive whole number');
+  }
+  if (values.capacity !== undefined && !(Number.isInteger(values.capacity) && values.capacity >= 0)) {
+    errors.push('capacity must be zero or a positive whole number');
+  }
+
+  return { values, errors };
+}
+
+function toPublicClassSession(session) {
+  return {
+    id: session._id,
+    branch: session.branch,
+    weekday: session.weekday,
+    startTime: session.startTime,
+    durationMinutes: session.durationMinutes,
+    classType: session.classType,
+    trainer: session.trainer || '',
+    capacity: session.capacity || 0
+  };
+}
+
+// Groups sessions into Monday..Sunday. Days without sessions come back with an empty list (closed).
+function buildWeekGrid(sessions) {
+  return WEEKDAYS.map((weekday) => ({
+    weekday,
+    sessions: sessions
+      .filter((session) => session.weekday === weekday)
+      .sort((a, b) => a.startTime.localeCompare(b.startTime))
+      .map(toPublicClassSession)
+  }));
+}
+
+const BOOKING_WINDOW_DAYS = Number(process.env.BOOKING_WINDOW_DAYS || 14);
+const BOOKING_CANCEL_CUTOFF_HOURS = Number(process.env.BOOKING_CANCEL_CUTOFF_HOURS || 2);
+// Class times are entered in studio local time; defaults to IST (UTC+5:30).
+const STUDIO_UTC_OFFSET_MINUTES = Number(process.env.STUDIO_UTC_OFFSET_MINUTES || 330);
+
+function isValidBookingDate(date) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function weekdayOfDate(date) {
+  // getUTCDay() is 0 for Sunday; WEEKDAYS starts on Monday.
+  return WEEKDAYS[(new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7];
+}
+
+// Absolute start time of a class on a given studio-local date.
+function getClassStart(date, startTime) {
+  const localAsUtc = new Date(`${date}T${startTime}:00Z`).getTime();
+  return new Date(localAsUtc - STUDIO_UTC_OFFSET_MINUTES * 60 * 1000);
+}
+
+// Today's "YYYY-MM-DD" in studio time.
+function getStudioToday() {
+  return new Date(Date.now() + STUDIO_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function toPublicBooking(booking) {
+  return {
+    id: booking._id,
+    session: booking.session,
+    date: booking.date,
+    branch: booking.branch,
+    name: booking.name,
+    status: booking.status,
+    createdAt: booking.createdAt
+  };
+}
+
+async function notifyBookingPromoted(booking, session) {
+  if (!mailTransporter || !CONTACT_FROM_EMAIL || !booking.email) return;
+
+  try {
+    const rendered = await renderEmail('booking-promoted', {
+      name: booking.name,
+      classType: session.classType,
+      startTime: formatClassTime(session.startTime),
+      date: booking.date,
+      branch: formatBranchLabel(booking.branch)
+    });
+    await queueEmail('booking-promoted', { to: booking.email, ...rendered });
+  } catch (err) {
+    logger.error('failed to send waitlist promotion email', { err, bookingId: booking._id });
+  }
+}
+
+// Brings confirmed bookings back in line with capacity: demotes overflow (e.g. two visitors
+// racing for the last spot, or capacity lowered) and promotes the oldest waitlisted entries
+// into any free spots. Capacity 0 means unlimited.
+async function rebalanceBookings(session, date) {
+  const active = await Booking.find({
+    session: session._id,
+    date,
+    status: { $in: ['confirmed', 'waitlisted'] }
+  }).sort({ createdAt: 1, _id: 1 });
+
+  const confirmed = active.filter((booking) => booking.status === 'confirmed');
+  const waitlisted = active.filter((booking) => booking.status === 'waitlisted');
+  const capacity = session.capacity || Infinity;
+  const promoted = [];
+
+  for (const booking of confirmed.slice(capacity)) {
+    booking.status = 'waitlisted';
+    await booking.save();
+  }
+
+  let freeSpots = capacity - Math.min(confirmed.length, capacity);
+  for (const booking of waitlisted) {
+    if (freeSpots <= 0) break;
+    booking.status = 'confirmed';
+    booking.promotedAt = new Date();
+    await booking.save();
+    promoted.push(booking);
+    freeSpots -= 1;
+  }
+
+  for (const booking of promoted) {
+    await notifyBookingPromoted(booking, session);
+  }
+}
+
+function parsePriceList(list, label, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${label} must be an array`);
+    return [];
+  }
+
+  const prices = list.map((entry) => ({ months: Number(entry?.months), price: Number(entry?.price) }));
+  prices.forEach(({ months, price }) => {
+    if (!Number.isInteger(months) || months < 1 || !Number.isFinite(price) || price < 0) {
+      errors.push(`${label} entries need whole-number months and a non-negative price`);
+    }
+  });
+  return prices.sort((a, b) => a.months - b.months);
+}
+
+// Validates a plan payload. With `partial`, only the fields present are checked.
+function parsePlanInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
+
+  if (input.name !== undefined) values.name = String(input.name).trim();
+  if (input.description !== undefined) values.description = String(input.description);
+  if (input.sortOrder !== undefined) values.sortOrder = Number(input.sortOrder) || 0;
+  if (input.active !== undefined) values.active = input.active === true || input.active === 'true';
+  if (input.prices !== undefined) values.prices = parsePriceList(input.prices, 'prices', errors);
+
+  if (input.branchPrices !== undefined) {
+    if (!Array.isArray(input.branchPrices)) {
+      errors.push('branchPrices must be an array');
+    } else {
+      values.branchPrices = input.branchPrices.map((entry) => {
+        if (!BRANCHES.includes(entry?.branch)) {
+          errors.push(`branchPrices branch must be one of: ${BRANCHES.join(', ')}`);
+        }
+        return { branch: entry?.branch, prices: parsePriceList(entry?.prices || [], 'branchPrices.prices', errors) };
+      });
+    }
+  }
+
+  if (input.promo !== undefined) {
+    const promo = input.promo || {};
+    const offer = promo.offer || null;
+    const discountType = promo.discountType || 'percent';
+    const discountValue = Number(promo.discountValue || 0);
+
+    if (offer && !mongoose.Types.ObjectId.isValid(offer)) errors.push('promo.offer must be an offer id');
+    if (!['percent', 'flat'].includes(discountType)) errors.push('promo.discountType must be percent or flat');
+    if (!Number.isFinite(discountValue) || discountValue < 0 || (discountType === 'percent' && discountValue > 100)) {
+      errors.push('promo.discountValue is out of range');
+    }
+    values.promo = { offer, discountType, discountValue };
+  }
+
+  if (!partial && !values.name) errors.push('name is required');
+  if (!partial && !(values.prices && values.prices.length)) errors.push('prices is required');
+
+  return { values, errors };
+}
+
+// Checks a plan against the database and its stored version (`current`, on edits): the promo
+// offer must exist, and branch overrides may only reprice durations listed in `prices`.
+async function checkPlanReferences(values, current = null) {
+  const errors = new Set();
+  const months = new Set((values.prices || current?.prices || []).map((entry) => entry.months));
+  for (const { branch, prices } of values.branchPrices || current?.branchPrices || []) {
+    prices.filter((entry) => !months.has(entry.months)).forEach((entry) => {
+      errors.add(`branchPrices for ${branch} has a ${entry.months}-month price that is not in prices`);
+    });
+  }
+
+  if (values.promo?.offer && !(await Offer.exists({ _id: values.promo.offer }))) {
+    errors.add('promo.offer does not match an offer');
+  }
+  return [...errors];
+}
+
+function applyPlanDiscount(price, promo) {
+  if (promo.discountType === 'flat') return Math.max(price - promo.discountValue, 0);
+  return Math.round(price * (1 - promo.discountValue / 100));
+}
+
+// Resolves the prices a visitor sees: branch overrides first, then the linked offer's discount.
+function toPublicPlan(plan, { branch, offersById }) {
+  const override = branch ? (plan.branchPrices || []).find((entry) => entry.branch === branch) : null;
+  const overrideByMonths = new Map((override?.prices || []).map((entry) => [entry.months, entry.price]));
+  const promo = plan.promo || {};
+  const offer = promo.offer && promo.discountValue ? offersById.get(String(promo.offer)) : null;
+
+  return {
+    id: plan._id,
+    name: plan.name,
+    description: plan.description || '',
+    prices: (plan.prices || []).map(({ months, price }) => {
+      const basePrice = overrideByMonths.has(months) ? overrideByMonths.get(months) : price;
+      const entry = { months, price: basePrice };
+      if (offer) entry.discountedPrice = applyPlanDiscount(basePrice, promo);
+      return entry;
+    }),
+    offer: offer
+      ? { id: offer._id, title: offer.title || '', discountType: promo.discountType, discountValue: promo.discountValue }
+      : null
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+function getMemberStatus(member, now = new Date()) {
+  if (member.status === 'active' && new Date(member.expiryDate) < now) return 'expired';
+  return member.status;
+}
+
+function toPublicMember(member) {
+  return {
+    ...(typeof member.toObject === 'function' ? member.toObject() : member),
+    status: getMemberStatus(member)
+  };
+}
+
+// Validates name/phone/branch plus the subscription fields shared by enrol and inquiry conversion.
+async function parseEnrolmentInput(body) {
+  const input = body || {};
+  const errors = [];
+  const months = Number(input.months);
+  const startDate = input.startDate ? new Date(input.startDate) : new Date();
+  const amountPaid = Number(input.amountPaid || 0);
+
+  if (!input.name || !input.phone) errors.push('name and phone are required');
+  if (!BRANCHES.includes(input.branch)) errors.push(`branch must be one of: ${BRANCHES.join(', ')}`);
+  if (!Number.isInteger(months) || months < 1) errors.push('months must be a positive whole number');
+  if (Number.isNaN(startDate.getTime())) errors.push('startDate is not a valid date');
+  if (!Number.isFinite(amountPaid) || amountPaid < 0) errors.push('amountPaid must be zero or more');
+
+  let plan = null;
+  if (input.planId) {
+    if (!mongoose.Types.ObjectId.isValid(input.planId)) {
+      errors.push('planId is not a valid id');
+    } else {
+      plan = await Plan.findById(input.planId).lean();
+      if (!plan) errors.push('Plan not found');
+    }
+  }
+
+  return {
+    errors,
+    values: {
+      name: String(input.name || '').trim(),
+      phone: String(input.phone || '').trim(),
+      phoneKey: toPhoneKey(input.phone),
+      email: String(input.email || '').trim(),
+      branch: input.branch,
+      plan: plan ? plan._id : null,
+      planName: plan ? plan.name : String(input.planName || ''),
+      startDate,
+      expiryDate: Number.isNaN(startDate.getTime()) ? null : addMonths(startDate, months)
+    },
+    months,
+    amountPaid,
+    note: String(input.note || '')
+  };
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+// Consecutive open days attended, counting back from today. Days the branch has no classes
+// don't break a streak, and today only counts once the member has checked in.
+function computeAttendanceStreak(attendedDates, openWeekdays, today) {
+  let streak = 0;
+  let cursor = today;
+
+  for (let i = 0; i < 366; i += 1, cursor = shiftDate(cursor, -1)) {
+    if (!openWeekdays.has(weekdayOfDate(cursor))) continue;
+    if (attendedDates.has(cursor)) {
+      streak += 1;
+    } else if (cursor !== today) {
+      break;
+    }
+  }
+
+  return streak;
+}
+
+/* =========================
+   GALLERY CARDS
+========================= */
+
+const CARD_FIELDS = ['beforeImg', 'afterImg', 'details', 'name', 'beforeWeight', 'afterWeight'];
+const CARD_REVISION_LIMIT = Number(readEnv('CARD_REVISION_LIMIT')) || 50;
+const CARD_WRITE_RETRIES = 3;
+
+function pickCardFields(body) {
+  const fields = {};
+  CARD_FIELDS.forEach((field) => {
+    if (body[field] !== undefined && body[field] !== null) fields[field] = String(body[field]);
+  });
+  return fields;
+}
+
+const CARD_IMAGE_FIELDS = ['beforeImg', 'afterImg'];
+const CARD_IMAGE_URL_ERROR = { error: 'beforeImg and afterImg must be photos uploaded with /api/upload', status: 400 };
+
+// True when every photo URL is ours or already shown somewhere in the branch's gallery.
+function hasAcceptedCardImages(cards, currentCards) {
+  const existing = currentCards.flatMap((card) => CARD_IMAGE_FIELDS.map((field) => card[field]));
+  return cards.every((card) => CARD_IMAGE_FIELDS.every((field) => isAcceptedMediaUrl(card[field], existing)));
+}
+
+// Member progress links are only set by /api/members/:id/progress/card; full-gallery saves keep
+// whatever link each slot already has and ignore any the client sends.
+function keepProgressLinks(cards, currentCards) {
+  const current = new Map(currentCards.map((card) => [card.cardNum, card]));
+  return cards.map(({ member, progress, ...card }) => {
+    const previous = current.get(Number(card.cardNum));
+    return previous?.member ? { ...card, member: previous.member, progress: previous.progress } : card;
+  });
+}
+
+// Reads the client's last-seen version from the body, If-Match header or query string.
+// Returns undefined when absent and NaN when malformed.
+function readExpectedVersion(req) {
+  const raw = req.body?.version ?? req.get('If-Match') ?? req.query.version;
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  const version = Number(String(raw).replace(/"/g, ''));
+  return Number.isInteger(version) && version >= 0 ? version : NaN;
+}
+
+async function ensureCardData(branch) {
+  // Documents saved before versioning existed have no version field.
+  await CardData.updateOne({ branch, version: { $exists: false } }, { $set: { version: 0 } });
+  return CardData.findOneAndUpdate(
+    { branch },
+    { $setOnInsert: { cards: [] } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+async function recordCardRevision(cardData, meta) {
+  await CardRevision.create({
+    branch: cardData.branch,
+    version: cardData.version,
+    cards: cardData.cards,
+    action: meta.action,
+    cardNum: meta.cardNum ?? null,
+    by: meta.by || ''
+  });
+
+  const oldest = await CardRevision.find({ branch: cardData.branch })
+    .sort({ version: -1 })
+    .skip(CARD_REVISION_LIMIT - 1)
+    .limit(1)
+    .lean();
+  if (oldest.length) {
+    const pruneFilter = { branch: cardData.branch, version: { $lt: oldest[0].version } };
+    const pruned = await CardRevision.find(pruneFilter, { cards: 1 }).lean();
+    await CardRevision.deleteMany(pruneFilter);
+
+    const prunedUrls = pruned.flatMap((revision) => revision.cards.flatMap((card) => [card.beforeImg, card.afterImg]));
+    destroyUnreferencedImages(prunedUrls).catch((err) => {
+      logger.error('failed to clean up gallery images', { err, branch: cardData.branch });
+    });
+  }
+}
+
+// Portrait 4:5 so every before/after pair lines up in the gallery grid.
+const GALLERY_IMAGE_WIDTH = 1080;
+const GALLERY_IMAGE_HEIGHT = 1350;
+
+/**
+ * Normalises an uploaded photo: applies the EXIF orientation, crops to the standard
+ * gallery size and re-encodes as JPEG. sharp drops all metadata (including GPS) by default.
+ * Resolves to { data, info }, or null when the bytes are not a supported image whatever the declared MIME type.
+ */
+async function processGalleryImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) return null;
+
+  return sharp(buffer)
+    .rotate()
+    .resize(GALLERY_IMAGE_WIDTH, GALLERY_IMAGE_HEIGHT, { fit: 'cover', position: sharp.strategy.attention })
+    .jpeg({ quality: 82, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Offer artwork keeps its own aspect ratio (posters, square flyers): orientation is fixed,
+ * large images are scaled down to fit OFFER_IMAGE_MAX_SIZE and everything becomes JPEG.
+ */
+const OFFER_IMAGE_MAX_SIZE = 1600;
+
+async function processOfferImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) return null;
+
+  return sharp(buffer)
+    .rotate()
+    .resize(OFFER_IMAGE_MAX_SIZE, OFFER_IMAGE_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Removes a replaced offer image once no offer (archived ones included) still uses it.
+async function destroyUnreferencedOfferImage(url) {
+  if (!url || !mediaStorage.ownsUrl(url)) return;
+  if (await Offer.exists({ imageUrl: url })) return;
+
+  const publicId = mediaStorage.publicIdFromUrl(url);
+  if (publicId) await mediaStorage.destroy(publicId, { resourceType: 'image' });
+}
+
+/**
+ * Deletes gallery photos that neither a current card, a kept revision nor a member's progress
+ * entry points at.
+ * Replaced photos therefore stay restorable until they age out of the revision history.
+ * Static fallbacks and files outside the configured media storage are left alone.
+ */
+async function destroyUnreferencedImages(urls) {
+  for (const url of new Set(urls.filter(Boolean))) {
+    const references = { $or: [{ 'cards.beforeImg': url }, { 'cards.afterImg': url }] };
+    if (await CardData.exists(references) || await CardRevision.exists(references)) continue;
+    if (await ProgressEntry.exists({ 'photos.url': url })) continue;
+
+    if (!mediaStorage.ownsUrl(url)) continue;
+    const image = await Image.findOne({ url }).lean();
+    const publicId = image?.publicId || mediaStorage.publicIdFromUrl(url);
+    if (!publicId) continue;
+
+    await mediaStorage.destroy(publicId, { resourceType: 'image' });
+    await Image.deleteMany({ url });
+  }
+}
+
+/**
+ * Compare-and-swap write of a branch's cards. `buildCards(cards)` returns { cards } or
+ * { error, status }. With an expectedVersion a mismatch yields { conflict: currentCardData };
+ * without one (server-side writes such as uploads) a lost race is simply retried.
+ */
+async function writeBranchCards(branch, expectedVersion, buildCards, meta) {
+  for (let attempt = 0; attempt < CARD_WRITE_RETRIES; attempt += 1) {
+    const current = await ensureCardData(branch);
+    if (expectedVersion !== undefined && current.version !== expectedVersion) {
+      return { conflict: current };
+    }
+
+    const outcome = buildCards(current.cards.map((card) => ({ ...card })));
+    if (outcome.error) return outcome;
+
+    // Keep the state from before versioning so the first tracked change can be undone.
+    if (!await CardRevision.exists({ branch })) {
+      await recordCardRevision(current, { action: 'baseline', by: current.updatedBy }).catch((err) => {
+        // A concurrent writer already recorded it.
+        if (err.code !== 11000) throw err;
+      });
+    }
+
+    const updated = await CardData.findOneAndUpdate(
+      { _id: current._id, version: current.version },
+      {
+        $set: { cards: outcome.cards, updatedBy: meta.by || '', updatedAt: new Date() },
+        $inc: { version: 1 }
+      },
+      { new: true }
+    ).lean();
+
+    if (updated) {
+      await recordCardRevision(updated, meta);
+      await clearBranchCache(branch);
+      emitWebhookEvent('gallery.card_updated', {
+        branch,
+        version: updated.version,
+        action: meta.action,
+        cardNum: meta.cardNum ?? null,
+        updatedBy: meta.by || ''
+      });
+      return { cardData: updated };
+    }
+
+    if (expectedVersion !== undefined) {
+      return { conflict: await CardData.findById(current._id).lean() };
+    }
+  }
+
+  return { conflict: await CardData.findOne({ branch }).lean() };
+}
+
+function sendCardConflict(res, current) {
+  res.status(409).json({
+    error: 'These cards were changed by someone else. Reload to get the latest version.',
+    version: current ? current.version : 0,
+    cards: current ? current.cards : []
+  });
+}
+
+/* =========================
+   MEMBER PROGRESS
+========================= */
+
+// Accepted range per measurement; values are kept to one decimal place.
+const PROGRESS_MEASUREMENTS = {
+  weightKg: { min: 20, max: 300, label: 'kg' },
+  waistCm: { min: 30, max: 250, label: 'cm' },
+  hipsCm: { min: 30, max: 250, label: 'cm' },
+  bodyFatPercent: { min: 2, max: 75, label: '%' }
+};
+const PROGRESS_FIELDS = ['date', ...Object.keys(PROGRESS_MEASUREMENTS), 'photos', 'note'];
+const PROGRESS_MAX_PHOTOS = 4;
+// How long an uploaded progress photo may wait to be attached to an entry before it is removed.
+const PROGRESS_PHOTO_TTL_MS = 24 * 60 * 60 * 1000;
+
+function roundToTenth(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Validates a progress entry. With `partial`, only the fields present are checked.
+function parseProgressInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
+
+  for (const field of PROGRESS_FIELDS) {
+    if (input[field] !== undefined) values[field] = input[field];
+  }
+
+  if (values.date === undefined && !partial) values.date = getStudioToday();
+  if (values.date !== undefined) {
+    if (!isValidBookingDate(values.date)) {
+      errors.push('date must be YYYY-MM-DD');
+    } else if (values.date > getStudioToday()) {
+      errors.push('date cannot be in the future');
+    }
+  }
+
+  Object.entries(PROGRESS_MEASUREMENTS).forEach(([field, { min, max }]) => {
+    if (values[field] === undefined) return;
+    if (values[field] === null || values[field] === '') {
+      values[field] = null;
+      return;
+    }
+    const number = Number(values[field]);
+    if (!Number.isFinite(number) || number < min || number > max) {
+      errors.push(`${field} must be a number between ${min} and ${max}`);
+      return;
+    }
+    values[field] = roundToTenth(number);
+  });
+
+  if (values.photos !== undefined) {
+    const urls = Array.isArray(values.photos) ? values.photos.map((photo) => (photo && photo.url) || photo) : null;
+    if (!urls || urls.length > PROGRESS_MAX_PHOTOS || !urls.every((url) => typeof url === 'string' && mediaStorage.ownsUrl(url))) {
+      errors.push(`photos must be up to ${PROGRESS_MAX_PHOTOS} URLs returned by the progress photo upload`);
+    } else {
+      values.photos = [...new Set(urls)].map((url) => ({ url, publicId: mediaStorage.publicIdFromUrl(url) }));
+    }
+  }
+  if (values.note !== undefined) {
+    values.note = String(values.note ?? '').trim();
+    if (values.note.length > 500) errors.push('note must be at most 500 characters');
+  }
+
+  const hasMeasurement = Object.keys(PROGRESS_MEASUREMENTS).some((field) => values[field] !== undefined && values[field] !== null);
+  if (!partial && !hasMeasurement && !values.photos?.length) {
+    errors.push(`Record at least one of ${Object.keys(PROGRESS_MEASUREMENTS).join(', ')} or a photo`);
+  }
+
+  return { values, errors };
+}
+
+// Returns the photo URLs in `photos` that were not uploaded for this member (ignoring `keep`,
+// the ones an entry already has).
+async function findForeignProgressPhotos(member, photos, keep = []) {
+  const kept = new Set(keep);
+  const urls = photos.map((photo) => photo.url).filter((url) => !kept.has(url));
+  if (!urls.length) return [];
+  const uploaded = await Image.find({ url: { $in: urls }, member: member._id }).select('url').lean();
+  const known = new Set(uploaded.map((image) => image.url));
+  return urls.filter((url) => !known.has(url));
+}
+
+// Attached photos stay until the entry drops them (see destroyUnreferencedImages).
+async function markProgressPhotosAttached(member, photos) {
+  if (!photos.length) return;
+  await Image.updateMany(
+    { url: { $in: photos.map((photo) => photo.url) }, member: member._id },
+    { $set: { expiresAt: null } }
+  );
+}
+
+// Removes progress photos that were uploaded but never attached to an entry.
+async function sweepProgressPhotos() {
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const now = new Date();
+    const expired = await Image.find({ expiresAt: { $lte: now } }).select('url').lean();
+    if (!expired.length) return;
+    const urls = expired.map((image) => image.url);
+    await destroyUnreferencedImages(urls);
+    // Anything left is in use after all (attached while the sweep ran).
+    await Image.updateMany({ url: { $in: urls }, expiresAt: { $lte: now } }, { $set: { expiresAt: null } });
+    logger.info('swept unattached progress photos', { count: expired.length });
+  } catch (err) {
+    logger.error('progress photo sweep failed', { err });
+  }
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// "12 days", "5 weeks", "4 months".
+function formatProgressDuration(days) {
+  if (days < 14) return `${days} day${days === 1 ? '' : 's'}`;
+  if (days < 60) return `${Math.round(days / 7)} weeks`;
+  const months = Math.round(days / 30.44);
+  return `${months} month${months === 1 ? '' : 's'}`;
+}
+
+function formatChange(change, unit) {
+  return `${change > 0 ? '+' : change < 0 ? '−' : '±'}${Math.abs(change)}${unit === '%' ? '' : ' '}${unit}`;
+}
+
+/**
+ * Entries (oldest first) with each measurement's change since the previous entry that recorded
+ * it and since the first one, plus a summary. Visits don't always measure everything, so every
+ * measurement is compared between its own first and latest recorded values.
+ */
+function describeProgress(entries) {
+  const firstSeen = {};
+  const lastSeen = {};
+
+  const withDeltas = entries.map((entry) => {
+    const changes = {};
+    Object.keys(PROGRESS_MEASUREMENTS).forEach((field) => {
+      const value = entry[field];
+      if (value === null || value === undefined) return;
+      changes[field] = {
+        sincePrevious: lastSeen[field] ? roundToTenth(value - lastSeen[field].value) : null,
+        sinceStart: firstSeen[field] ? roundToTenth(value - firstSeen[field].value) : null
+      };
+      if (!firstSeen[field]) firstSeen[field] = { value, date: entry.date };
+      lastSeen[field] = { value, date: entry.date };
+    });
+    return { ...entry, daysSinceStart: daysBetween(entries[0].date, entry.date), changes };
+  });
+
+  const measurements = {};
+  Object.keys(PROGRESS_MEASUREMENTS).forEach((field) => {
+    if (!firstSeen[field]) return;
+    measurements[field] = {
+      first: firstSeen[field].value,
+      latest: lastSeen[field].value,
+      change: roundToTenth(lastSeen[field].value - firstSeen[field].value),
+      since: firstSeen[field].date,
+      until: lastSeen[field].date
+    };
+  });
+
+  const startDate = entries[0]?.date || null;
+  const latestDate = entries[entries.length - 1]?.date || null;
+  const days = startDate ? daysBetween(startDate, latestDate) : 0;
+
+  return {
+    entries: withDeltas,
+    summary: {
+      entryCount: entries.length,
+      startDate,
+      latestDate,
+      days,
+      duration: formatProgressDuration(days),
+      measurements
+    }
+  };
+}
+
+// The card's stats line, e.g. "72 kg → 64 kg · −6 cm waist · −3% body fat · 4 months".
+function formatProgressLabel(summary) {
+  const { weightKg, waistCm, hipsCm, bodyFatPercent } = summary.measurements;
+  const parts = [];
+  if (weightKg && weightKg.since !== weightKg.until) parts.push(`${weightKg.first} kg → ${weightKg.latest} kg`);
+  if (waistCm?.change) parts.push(`${formatChange(waistCm.change, 'cm')} waist`);
+  if (hipsCm?.change) parts.push(`${formatChange(hipsCm.change, 'cm')} hips`);
+  if (bodyFatPercent?.change) parts.push(`${formatChange(bodyFatPercent.change, '%')} body fat`);
+  if (summary.days) parts.push(summary.duration);
+  return parts.join(' · ');
+}
+
+function getProgressPhotoEntries(entries) {
+  return entries.filter((entry) => entry.photos?.length);
+}
+
+/**
+ * Builds a member's gallery card from their progress: the earliest and latest entry photos as
+ * before/after, the first and latest recorded weights, and the measured changes. `previousCard`
+ * is the member's own card when refreshing; its photos, name and notes are kept unless replaced.
+ */
+function buildProgressCard(previousCard, member, described, { cardNum, name, details }) {
+  const { entries, summary } = described;
+  const withPhotos = getProgressPhotoEntries(entries);
+  const weight = summary.measurements.weightKg;
+
+  return {
+    ...(previousCard || {}),
+    cardNum,
+    member: member._id,
+    name: name ?? (previousCard?.name || member.name.trim().split(/\s+/)[0]),
+    beforeImg: withPhotos.length >= 2 ? withPhotos[0].photos[0].url : previousCard?.beforeImg || '',
+    afterImg: withPhotos.length >= 2 ? withPhotos[withPhotos.length - 1].photos[0].url : previousCard?.afterImg || '',
+    beforeWeight: weight ? `${weight.first} kg` : '',
+    afterWeight: weight ? `${weight.latest} kg` : '',
+    details: details ?? (previousCard?.details || ''),
+    progress: {
+      startDate: summary.startDate,
+      latestDate: summary.latestDate,
+      days: summary.days,
+      weightChangeKg: weight?.change ?? null,
+      waistChangeCm: summary.measurements.waistCm?.change ?? null,
+      hipsChangeCm: summary.measurements.hipsCm?.change ?? null,
+      bodyFatChange: summary.measurements.bodyFatPercent?.change ?? null,
+      label: formatProgressLabel(summary)
+    }
+  };
+}
+
+/* =========================
+   VIDEO UPLOADS
+========================= */
+
+const VIDEO_MAX_SECONDS = Number(readEnv('VIDEO_MAX_SECONDS')) || 300;
+const VIDEO_CHUNK_BYTES = (Number(readEnv('VIDEO_CHUNK_MB')) || 5) * 1024 * 1024;
+const VIDEO_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+// A part write still leased after this (its process died) no longer blocks completing.
+const VIDEO_PART_LEASE_MS = 10 * 60 * 1000;
+const VIDEO_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let videoSweepTimer = null;
+
+async function removeTempFile(filePath) {
+  if (!filePath) return;
+  await fs.promises.unlink(filePath).catch((err) => {
+    if (err.code !== 'ENOENT') logger.warn('failed to remove temp upload', { err, filePath });
+  });
+}
+
+// Streams one part of a chunked upload from the request into its slot in the temp file.
+async function writeUploadPart(req, session, index) {
+  const start = index * session.chunkSize;
+  const expected = Math.min(session.chunkSize, session.size - start);
+  let received = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > expected) {
+        const err = new Error(`Part ${index} must be exactly ${expected} bytes`);
+        err.code = 'PART_TOO_LARGE';
+        return callback(err);
+      }
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(req, counter, fs.createWriteStream(session.tempPath, { flags: 'r+', start }));
+  return { received, expected };
+}
+
+// Portrait like the phone clips most reviews are; shown until someone plays the video.
+const PLACEHOLDER_POSTER_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="720" height="1280">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#ff6b35"/>
+      <stop offset="1" stop-color="#ff0080"/>
+    </linearGradient>
+  </defs>
+  <rect width="720" height="1280" fill="url(#bg)"/>
+  <circle cx="360" cy="640" r="120" fill="#ffffff" fill-opacity="0.22"/>
+  <path d="M320 570 L440 640 L320 710 Z" fill="#ffffff"/>
+</svg>`;
+
+function createPlaceholderPoster() {
+  return sharp(Buffer.from(PLACEHOLDER_POSTER_SVG)).jpeg({ quality: 80, mozjpeg: true }).toBuffer();
+}
+
+async function processPosterImage(buffer) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize({ width: 720, withoutEnlargement: true })
+      .jpeg({ quality: 80, mozjpeg: true })
+      .toBuffer();
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Moves an assembled video from disk into media storage and creates its VideoReview.
+ * Duration comes from the MP4/MOV header when possible, otherwise from the storage provider;
+ * a video whose length neither can tell is refused, since the limit could not be enforced.
+ * The poster is Cloudinary's derived frame, else the optional client-captured still. Without
+ * ffmpeg the server cannot pull a frame itself, so anything else gets a placeholder poster.
+ * Resolves to { video } or { error, status }.
+ */
+async function storeVideoFile(filePath, { fileName, mimeType, details, posterBuffer }) {
+  const headerDuration = await readMp4DurationSeconds(filePath);
+  if (headerDuration && headerDuration > VIDEO_MAX_SECONDS) {
+    return { error: `Videos must be ${VIDEO_MAX_SECONDS} seconds or shorter (this one is ${Math.round(headerDuration)}s)`, status: 400 };
+  }
+
+  const uploaded = await mediaStorage.uploadFile(filePath, {
+    folder: 'video-reviews',
+    resourceType: 'video',
+    publicId: `review_${Date.now()}`,
+    extension: path.extname(fileName || '').toLowerCase() || '.mp4'
+  });
+
+  const durationSeconds = headerDuration
+    ?? (Number.isFinite(uploaded.duration) ? Math.round(uploaded.duration * 10) / 10 : null);
+  if (!durationSeconds) {
+    await mediaStorage.destroy(uploaded.publicId, { resourceType: 'video' }).catch(() => {});
+    return { error: 'Could not read the video\'s duration. Upload an MP4 or MOV file.', status: 400 };
+  }
+  if (durationSeconds > VIDEO_MAX_SECONDS) {
+    await mediaStorage.destroy(uploaded.publicId, { resourceType: 'video' }).catch(() => {});
+    return { error: `Videos must be ${VIDEO_MAX_SECONDS} seconds or shorter (this one is ${Math.round(durationSeconds)}s)`, status: 400 };
+  }
+
+  let posterUrl = uploaded.posterUrl || '';
+  let posterPublicId = '';
+  if (!posterUrl) {
+    const poster = (posterBuffer && await processPosterImage(posterBuffer)) || await createPlaceholderPoster();
+    const storedPoster = await mediaStorage.upload(poster, { folder: 'video-posters', resourceType: 'image', extension: '.jpg' });
+    posterUrl = storedPoster.url;
+    posterPublicId = storedPoster.publicId;
+  }
+
+  const video = await VideoReview.create({
+    url: uploaded.url,
+    title: uploaded.originalFilename || (fileName || '').replace(/\.[^/.]+$/, ''),
+    fileName: fileName || '',
+    mimeType: mimeType || '',
+    publicId: uploaded.publicId || '',
+    durationSeconds,
+    bytes: uploaded.bytes || 0,
+    posterUrl,
+    posterPublicId,
+    ...details
+  });
+  await clearVideoCache();
+  emitWebhookEvent('video.uploaded', toWebhookVideo(video));
+
+  return { video };
+}
+
+function toPublicUploadSession(session) {
+  return {
+    id: session._id,
+    fileName: session.fileName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalParts: session.totalParts,
+    receivedParts: [...session.receivedParts].sort((a, b) => a - b),
+    status: session.status,
+    video: session.video,
+    expiresAt: session.expiresAt,
+    maxSeconds: VIDEO_MAX_SECONDS
+  };
+}
+
+// Drops chunked uploads that were abandoned (or finished) more than a day ago, temp files included.
+async function sweepVideoUploads() {
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const expired = await VideoUploadSession.find({ expiresAt: { $lte: new Date() } }).lean();
+    for (const session of expired) {
+      await removeTempFile(session.tempPath);
+      await VideoUploadSession.deleteOne({ _id: session._id });
+    }
+    if (expired.length) logger.info('removed expired video upload sessions', { count: expired.length });
+  } catch (err) {
+    logger.error('video upload sweep failed', { err });
+  }
+}
+
+// Abandoned progress photo uploads are cleared on the same schedule.
+function sweepAbandonedUploads() {
+  return Promise.all([sweepVideoUploads(), sweepProgressPhotos()]);
+}
+
+function startVideoUploadSweeper() {
+  if (videoSweepTimer) return;
+  videoSweepTimer = setInterval(sweepAbandonedUploads, VIDEO_SWEEP_INTERVAL_MS);
+  videoSweepTimer.unref();
+  sweepAbandonedUploads();
+}
+
+/* =========================
+   FORM ABUSE PROTECTION
+========================= */
+
+const INQUIRY_LIMITS = { name: 100, email: 254, phone: 20, message: 2000, referredBy: 100 };
+const INQUIRY_DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+const INQUIRY_MAX_LINKS = 2;
+// Hidden field on the contact form; people never see it, bots fill it in.
+const HONEYPOT_FIELD = 'website';
+
+// Fixed-window counter per key (IP, email, ...), kept in the read cache store: with
+// CACHE_STORE=mongo every instance counts against the same limit and restarts keep the counts.
+// If the store fails the request is allowed rather than blocking real visitors.
+function createRateLimiter({ name, windowMs, max }) {
+  return async function hit(key) {
+    try {
+      const { count, resetAt } = await readCacheStore.increment(`ratelimit:${name}:${key}`, windowMs);
+      return { allowed: count <= max, retryAfterMs: resetAt - Date.now() };
+    } catch (err) {
+      logger.warn('rate limit check failed', { err, limiter: name });
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  };
+}
+
+const inquiryIpLimiter = createRateLimiter({ name: 'inquiry-ip', windowMs: 60 * 60 * 1000, max: 5 });
+const inquiryEmailLimiter = createRateLimiter({ name: 'inquiry-email', windowMs: 24 * 60 * 60 * 1000, max: 3 });
+const bookingIpLimiter = createRateLimiter({ name: 'booking-ip', windowMs: 60 * 60 * 1000, max: 20 });
+const offerEventIpLimiter = createRateLimiter({ name: 'offer-event-ip', windowMs: 60 * 60 * 1000, max: 120 });
+// Low enough that guessing codes one request at a time is impractical.
+const promoCheckIpLimiter = createRateLimiter({ name: 'promo-check-ip', windowMs: 60 * 60 * 1000, max: 30 });
+
+function sendRateLimited(res, retryAfterMs) {
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).json({ error: 'Too many submissions. Please try again later.' });
+}
+
+// Express middleware factory: limits a public endpoint per client IP.
+function limitByIp(limiter) {
+  return async (req, res, next) => {
+    const { allowed, retryAfterMs } = await limiter(req.ip);
+    if (!allowed) return sendRateLimited(res, retryAfterMs);
+    next();
+  };
+}
+
+function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
+}
+
+function isValidPhone(phone) {
+  if (!/^\+?[\d\s()-]+$/.test(phone)) return false;
+  const digits = phone.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15;
+}
+
+// Returns a list of field errors for the public contact form.
+function validateInquiryFields({ name, email, phone, message, referredBy }) {
+  const errors = [];
+  for (const [field, max] of Object.entries(INQUIRY_LIMITS)) {
+    const value = { name, email, phone, message, referredBy }[field];
+    if (value && value.length > max) errors.push(`${field} must be at most ${max} characters`);
+  }
+  if (email && !isValidEmail(email)) errors.push('email is not a valid address');
+  if (phone && !isValidPhone(phone)) errors.push('phone is not a valid number');
+  return errors;
+}
+
+// Formatting-free form of a phone number: its last 10 digits, so "+91 98765-43210" and
+// "9876543210" are the same number.
+function toPhoneKey(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+// Matches "referred by" text to a member when it contains their phone number, whatever the
+// formatting on either side (spaces, dashes, +91 prefix): the last 10 digits must line up.
+async function findReferringMember(referredBy) {
+  const digits = String(referredBy || '').replace(/\D/g, '').slice(-10);
+  if (digits.length < 7) return null;
+  const pattern = new RegExp(`${digits.split('').join('\\D*')}$`);
+  return Member.findOne({ phone: pattern }).select('_id').lean();
+}
+
+// Heuristics that mark an inquiry for review instead of rejecting it outright.
+function getSpamReasons(body, message) {
+  const reasons = [];
+  if (body && body[HONEYPOT_FIELD]) reasons.push('honeypot');
+  const links = (message.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > INQUIRY_MAX_LINKS) reasons.push('too many links');
+  return reasons;
+}
+
+/* =========================
+   EMAIL TEMPLATES
+========================= */
+
+// Shown in visitor emails; set BRANCH1_ADDRESS / BRANCH2_ADDRESS for street addresses.
+const BRANCH_MAP_LINKS = {
+  branch1: 'https://maps.google.com/?q=Zumba+With+Pooh',
+  branch2: 'https://maps.google.com/?q=Zumba+With+Pooh+Branch+2'
+};
+
+function formatBranchLabel(branch) {
+  const match = String(branch || '').match(/^branch(\d+)$/);
+  return match ? `Branch ${match[1]}` : String(branch || '');
+}
+
+function formatClassTime(startTime) {
+  const [hours, minutes] = String(startTime || '').split(':').map(Number);
+  if (!Number.isFinite(hours) || !Number.isFinite(minutes)) return startTime || '';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Plain-text address and timetable per branch. Weekdays with identical classes share a line.
+async function describeBranchDetails() {
+  const sessions = await ClassSession.find({ active: true }).sort({ startTime: 1 }).lean();
+
+  return BRANCHES.map((branch) => {
+    const lines = [formatBranchLabel(branch)];
+    const address = readEnv(`${branch.toUpperCase()}_ADDRESS`);
+    if (address) lines.push(address);
+    lines.push(`Directions: ${BRANCH_MAP_LINKS[branch]}`);
+
+    const daysBySlots = new Map();
+    WEEKDAYS.forEach((weekday) => {
+      const slots = sessions
+        .filter((session) => session.branch === branch && session.weekday === weekday)
+        .map((session) => `${formatClassTime(session.startTime)} ${session.classType}`)
+        .join(', ');
+      if (!slots) return;
+      if (!daysBySlots.has(slots)) daysBySlots.set(slots, []);
+      daysBySlots.get(slots).push(capitalize(weekday));
+    });
+
+    daysBySlots.forEach((days, slots) => lines.push(`${days.join(', ')}: ${slots}`));
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+async function getEmailTemplate(key) {
+  const defaults = DEFAULT_TEMPLATES[key];
+  if (!defaults) throw new Error(`Unknown email template: ${key}`);
+
+  const custom = await EmailTemplate.findOne({ key }).lean();
+  return {
+    subject: custom?.subject || defaults.subject,
+    html: custom?.html || defaults.html,
+    text: custom?.text || defaults.text
+  };
+}
+
+// Returns { subject, html, text } ready to spread into sendMail().
+async function renderEmail(key, data) {
+  return renderTemplate(await getEmailTemplate(key), data);
+}
+
+/* =========================
+   EMAIL OUTBOX
+========================= */
+
+const EMAIL_MAX_ATTEMPTS = Number(readEnv('EMAIL_MAX_ATTEMPTS')) || 6;
+const EMAIL_RETRY_BASE_MS = (Number(readEnv('EMAIL_RETRY_BASE_SECONDS')) || 60) * 1000;
+const EMAIL_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const EMAIL_WORKER_INTERVAL_MS = (Number(readEnv('EMAIL_WORKER_INTERVAL_SECONDS')) || 15) * 1000;
+// A message stuck in "sending" this long (e.g. the process died mid-send) is picked up again.
+const EMAIL_SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+let outboxTimer = null;
+let outboxRunning = false;
+let outboxRerun = false;
+
+// 1 min, 2 min, 4 min ... capped at 6 hours.
+function getEmailRetryDelayMs(attemptCount) {
+  return Math.min(EMAIL_RETRY_BASE_MS * 2 ** Math.max(attemptCount - 1, 0), EMAIL_RETRY_MAX_MS);
+}
+
+// Persists a rendered message ({ to, replyTo, subject, html, text }) and wakes the worker.
+// Resolves to null when email is not configured.
+async function queueEmail(kind, message) {
+  if (!mailTransporter || !CONTACT_FROM_EMAIL) return null;
+
+  const email = await OutboundEmail.create({
+    kind,
+    from: CONTACT_FROM_EMAIL,
+    to: message.to,
+    replyTo: message.replyTo || '',
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    maxAttempts: EMAIL_MAX_ATTEMPTS
+  });
+  setImmediate(processOutbox);
+  return email;
+}
+
+function claimNextEmail() {
+  const now = new Date();
+  return OutboundEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - EMAIL_SENDING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliverEmail(email) {
+  const attemptedAt = new Date();
+  email.attemptCount += 1;
+  email.lockedAt = null;
+
+  try {
+    const info = await mailTransporter.sendMail({
+      from: email.from,
+      to: email.to,
+      replyTo: email.replyTo || undefined,
+      subject: email.subject,
+      html: email.html,
+      text: email.text
+    });
+    email.attempts.push({ at: attemptedAt, ok: true, response: info.response || '' });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.lastError = '';
+  } catch (err) {
+    email.attempts.push({ at: attemptedAt, ok: false, error: err.message });
+    email.lastError = err.message;
+
+    // A 5xx reply (unknown mailbox, rejected sender, ...) will not change by waiting.
+    if (err.responseCode >= 500 || email.attemptCount >= email.maxAttempts) {
+      email.status = 'failed';
+      logger.error('email delivery failed', { emailId: email._id, kind: email.kind, attempts: email.attemptCount, error: err.message });
+    } else {
+      email.status = 'queued';
+      email.nextAttemptAt = new Date(Date.now() + getEmailRetryDelayMs(email.attemptCount));
+      logger.warn('email delivery attempt failed', { emailId: email._id, kind: email.kind, attempts: email.attemptCount, nextAttemptAt: email.nextAttemptAt, error: err.message });
+    }
+  }
+
+  await email.save();
+}
+
+// Sends everything that is due, one message at a time.
+async function processOutbox() {
+  if (!mailTransporter || mongoose.connection.readyState !== 1) return;
+  if (outboxRunning) {
+    outboxRerun = true;
+    return;
+  }
+
+  outboxRunning = true;
+  try {
+    do {
+      outboxRerun = false;
+      let email;
+      // On shutdown, finish the message in hand and leave the rest queued for the next start.
+      while (!shuttingDown && (email = await claimNextEmail())) {
+        await deliverEmail(email);
+      }
+    } while (outboxRerun);
+  } catch (err) {
+    logger.error('email outbox worker error', { err });
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+function startOutboxWorker() {
+  if (outboxTimer || !mailTransporter) return;
+  outboxTimer = setInterval(processOutbox, EMAIL_WORKER_INTERVAL_MS);
+  outboxTimer.unref();
+  processOutbox();
+  logger.info('email outbox worker started');
+}
+
+// Puts a message back in the queue with a fresh set of attempts.
+function requeueEmail(email) {
+  email.status = 'queued';
+  email.attemptCount = 0;
+  email.nextAttemptAt = new Date();
+  email.lockedAt = null;
+  email.lastError = '';
+}
+
+function toOutboxSummary(email) {
+  const { html, attempts, ...summary } = email.toObject ? email.toObject() : email;
+  return { ...summary, attemptsLogged: (attempts || []).length };
+}
+
+/* =========================
+   WEBHOOKS
+========================= */
+
+const WEBHOOK_MAX_ATTEMPTS = Number(readEnv('WEBHOOK_MAX_ATTEMPTS')) || 8;
+const WEBHOOK_RETRY_BASE_MS = (Number(readEnv('WEBHOOK_RETRY_BASE_SECONDS')) || 30) * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_WORKER_INTERVAL_MS = (Number(readEnv('WEBHOOK_WORKER_INTERVAL_SECONDS')) || 15) * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// A delivery stuck in "sending" this long (e.g. the process died mid-request) is picked up again.
+const WEBHOOK_SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const WEBHOOK_RESPONSE_LOG_BYTES = 1000;
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'active'];
+
+let webhookTimer = null;
+let webhookQueueRunning = false;
+let webhookQueueRerun = false;
+
+// 30 s, 1 min, 2 min ... capped at 6 hours.
+function getWebhookRetryDelayMs(attemptCount) {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(attemptCount - 1, 0), WEBHOOK_RETRY_MAX_MS);
+}
+
+function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Validates a webhook payload. With `partial`, only the fields present are checked.
+function parseWebhookInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+  const errors = [];
+
+  for (const field of WEBHOOK_FIELDS) {
+    if (input[field] !== undefined) values[field] = input[field];
+  }
+
+  if (values.url !== undefined || !partial) {
+    values.url = String(values.url ?? '').trim();
+    let parsed = null;
+    try {
+      parsed = new URL(values.url);
+    } catch (err) {
+      // Reported below.
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || values.url.length > 2000) {
+      errors.push('url must be an http(s) URL');
+    }
+  }
+  if (values.description !== undefined) {
+    values.description = String(values.description ?? '').trim();
+    if (values.description.length > 200) errors.push('description must be at most 200 characters');
+  }
+  if (values.events !== undefined || !partial) {
+    if (!Array.isArray(values.events) || !values.events.length || !values.events.every((event) => WEBHOOK_EVENTS.includes(event))) {
+      errors.push(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    } else {
+      values.events = [...new Set(values.events)];
+    }
+  }
+  if (values.active !== undefined && typeof values.active !== 'boolean') {
+    errors.push('active must be true or false');
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Value of the X-Webhook-Signature header: `t=<unix seconds>,v1=<hex HMAC-SHA256>` where the
+ * HMAC (keyed with the webhook secret) covers "<t>.<raw request body>". Receivers recompute it
+ * and can refuse old timestamps to stop replays.
+ */
+function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Queues `event` for every active webhook subscribed to it and wakes the worker. Never throws:
+ * a broken subscription must not fail the request that caused the event.
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id').lean();
+    if (!webhooks.length) return;
+
+    const eventId = crypto.randomUUID();
+    // Stored as plain JSON so every attempt sends (and signs) exactly the same body.
+    const payload = JSON.parse(JSON.stringify({ id: eventId, event, createdAt: new Date(), data }));
+    await WebhookDelivery.insertMany(webhooks.map((webhook) => ({
+      webhook: webhook._id,
+      event,
+      eventId,
+      payload,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS
+    })));
+    setImmediate(processWebhookQueue);
+  } catch (err) {
+    logger.error('failed to queue webhook event', { err, event });
+  }
+}
+
+function claimNextWebhookDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - WEBHOOK_SENDING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// The start of the receiver's reply, for the delivery log.
+async function readResponseSnippet(response) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const chunks = [];
+  let bytes = 0;
+
+  try {
+    while (bytes < WEBHOOK_RESPONSE_LOG_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(Buffer.from(value));
+      bytes += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, WEBHOOK_RESPONSE_LOG_BYTES).toString('utf8');
+}
+
+// Makes one attempt and records it. Any 2xx counts as delivered; redirects are not followed.
+async function deliverWebhook(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+  const attemptedAt = new Date();
+  delivery.attemptCount += 1;
+  delivery.lockedAt = null;
+
+  let attempt;
+  if (!webhook || (!webhook.active && delivery.event !== WEBHOOK_TEST_EVENT)) {
+    attempt = { ok: false, error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' };
+    delivery.maxAttempts = delivery.attemptCount;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `ZumbaWithPooh-Webhooks/${APP_VERSION}`,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Signature': signWebhookPayload(webhook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      attempt = {
+        ok: response.ok,
+        statusCode: response.status,
+        response: await readResponseSnippet(response).catch(() => ''),
+        error: response.ok ? '' : `Receiver answered HTTP ${response.status}`
+      };
+    } catch (err) {
+      const reason = err.name === 'TimeoutError'
+        ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000} seconds`
+        : err.cause?.message || err.message;
+      attempt = { ok: false, error: reason };
+    }
+  }
+
+  delivery.attempts.push({ at: attemptedAt, durationMs: Date.now() - attemptedAt.getTime(), ...attempt });
+  delivery.lastStatusCode = attempt.statusCode ?? null;
+
+  if (attempt.ok) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = '';
+  } else {
+    delivery.lastError = attempt.error;
+    if (delivery.attemptCount >= delivery.maxAttempts) {
+      delivery.status = 'failed';
+      logger.warn('webhook delivery failed', { deliveryId: delivery._id, event: delivery.event, attempts: delivery.attemptCount, error: attempt.error });
+    } else {
+      delivery.status = 'queued';
+      delivery.nextAttemptAt = new Date(Date.now() + getWebhookRetryDelayMs(delivery.attemptCount));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+// Sends everything that is due, one delivery at a time.
+async function processWebhookQueue() {
+  if (mongoose.connection.readyState !== 1) return;
+  if (webhookQueueRunning) {
+    webhookQueueRerun = true;
+    return;
+  }
+
+  webhookQueueRunning = true;
+  try {
+    do {
+      webhookQueueRerun = false;
+      let delivery;
+      // On shutdown, finish the delivery in hand and leave the rest queued for the next start.
+      while (!shuttingDown && (delivery = await claimNextWebhookDelivery())) {
+        await deliverWebhook(delivery);
+      }
+    } while (webhookQueueRerun);
+  } catch (err) {
+    logger.error('webhook worker error', { err });
+  } finally {
+    webhookQueueRunning = false;
+  }
+}
+
+function startWebhookWorker() {
+  if (webhookTimer) return;
+  webhookTimer = setInterval(processWebhookQueue, WEBHOOK_WORKER_INTERVAL_MS);
+  webhookTimer.unref();
+  processWebhookQueue();
+  logger.info('webhook delivery worker started');
+}
+
+function toWebhookDeliverySummary(delivery) {
+  const { payload, attempts, ...summary } = delivery.toObject ? delivery.toObject() : delivery;
+  return { ...summary, attemptsLogged: (attempts || []).length };
+}
+
+// Event payloads: the fields another tool needs, never internal ones such as IPs or spam flags.
+function toWebhookInquiry(inquiry) {
+  return {
+    id: inquiry._id,
+    name: inquiry.name,
+    email: inquiry.email,
+    phone: inquiry.phone || '',
+    preferredBranch: inquiry.preferredBranch || '',
+    message: inquiry.message,
+    status: inquiry.status,
+    offerId: inquiry.offer || null,
+    promoCode: inquiry.promoCode || '',
+    referredBy: inquiry.referredBy || '',
+    createdAt: inquiry.createdAt
+  };
+}
+
+function toWebhookOffer(offer) {
+  return { ...toPublicOffer(offer), status: offer.status };
+}
+
+function toWebhookVideo(video) {
+  return {
+    id: video._id,
+    url: video.url,
+    title: video.title || '',
+    memberName: video.memberName || '',
+    branch: video.branch || '',
+    program: video.program || '',
+    status: video.status,
+    posterUrl: video.posterUrl || '',
+    durationSeconds: video.durationSeconds ?? null
+  };
+}
+
+/* =========================
+   ADMIN AUTH
+========================= */
+
+const scryptAsync = promisify(crypto.scrypt);
+const ADMIN_SESSION_TTL_MS = Number(process.env.ADMIN_SESSION_TTL_HOURS || 12) * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const SETUP_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scryptAsync(String(password), salt, 64);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const derived = await scryptAsync(String(password), salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+// Failed logins are counted in the shared cache store like the other rate limits, so the
+// limit holds across instances. Like them, a store outage lets logins through rather than locking staff out.
+function loginFailureKey(ip) {
+  return `ratelimit:login:${ip}`;
+}
+
+async function isLoginThrottled(ip) {
+  try {
+    return Number(await readCacheStore.get(loginFailureKey(ip))) >= LOGIN_MAX_FAILURES;
+  } catch (err) {
+    logger.warn('login throttle check failed', { err });
+    return false;
+  }
+}
+
+async function recordLoginFailure(ip) {
+  try {
+    await readCacheStore.increment(loginFailureKey(ip), LOGIN_WINDOW_MS);
+  } catch (err) {
+    logger.warn('failed to record login failure', { err });
+  }
+}
+
+async function clearLoginFailures(ip) {
+  try {
+    await readCacheStore.delete(loginFailureKey(ip));
+  } catch (err) {
+    logger.warn('failed to clear login failures', { err });
+  }
+}
+
+// Issues a fresh invite/reset token. Only its hash is stored; the raw token is handed to the owner once.
+function issueSetupToken(user) {
+  const token = crypto.randomBytes(24).toString('hex');
+  user.setupTokenHash = hashToken(token);
+  user.setupTokenExpiresAt = new Date(Date.now() + SETUP_TOKEN_TTL_MS);
+  return token;
+}
+
+function toPublicUser(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    name: user.name || '',
+    email: user.email || '',
+    role: user.role,
+    branch: user.branch || '',
+    status: user.status,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt
+  };
+}
+
+// Owners can reach every branch; everyone else only the branch they are assigned to.
+function canAccessBranch(user, branch) {
+  if (!user) return false;
+  if (user.role === 'owner') return true;
+  return !!user.branch && user.branch === branch;
+}
+
+// Creates the first owner from ADMIN_USERNAME / ADMIN_PASSWORD when the account is missing.
+// Existing accounts are never overwritten, so the env password can be removed after first boot.
+async function ensureBootstrapAdmin() {
+  const username = (readEnv('ADMIN_USERNAME') || 'admin').toLowerCase();
+  const password = readEnv('ADMIN_PASSWORD');
+
+  try {
+    if (await User.exists({ username })) return;
+
+    if (!password) {
+      if (!(await User.exists({ role: 'owner' }))) {
+        logger.warn('no owner account exists; set ADMIN_USERNAME and ADMIN_PASSWORD to create one');
+      }
+      return;
+    }
+
+    await User.create({
+      username,
+      role: 'owner',
+      status: 'active',
+      passwordHash: await hashPassword(password)
+    });
+    logger.info('owner account created', { username });
+  } catch (err) {
+    logger.error('failed to create owner account', { err });
+  }
+}
+
+// Guards staff-only routes. Expects `Authorization: Bearer <token>` from /api/auth/login.
+async function requireAuth(req, res, next) {
+  const token = readBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const session = await AdminSession.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or invalid' });
+    }
+
+    const user = await User.findById(session.userId).lean();
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ error: 'Session expired or invalid' });
+    }
+
+    req.user = { id: user._id, username: user.username, role: user.role, branch: user.branch || '' };
+    req.authSession = session;
+    next();
+  } catch (err) {
+    req.log.error('failed to verify admin session', { err });
+    res.status(500).json({ error: 'Failed to verify session' });
+  }
+}
+
+// Like requireAuth, but lets anonymous requests through (req.user stays unset).
+function optionalAuth(req, res, next) {
+  if (!readBearerToken(req)) return next();
+  return requireAuth(req, res, next);
+}
+
+// Use after requireAuth: rejects callers whose role is not in the list.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission for this action' });
+    }
+    next();
+  };
+}
+
+const requireOwner = [requireAuth, requireRole('owner')];
+
+/* =========================
+   ROUTES
+========================= */
+
+// ✅ Admin auth
+app.post('/api/auth/login', async (req, res) => {
+  const { username = '', password = '' } = req.body || {};
+  const ip = req.ip;
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Missing username or password' });
+  }
+
+  if (await isLoginThrottled(ip)) {
+    return res.status(429).json({ error: 'Too many failed login attempts. Try again later.' });
+  }
+
+  try {
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    const valid = user && user.status === 'active'
+      ? await verifyPassword(password, user.passwordHash)
+      : false;
+
+    if (!valid) {
+      await recordLoginFailure(ip);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    await clearLoginFailures(ip);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_MS);
+    await AdminSession.create({ tokenHash: hashToken(token), userId: user._id, expiresAt });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({ token, username: user.username, role: user.role, branch: user.branch || '', expiresAt });
+  } catch (err) {
+    req.log.error('failed to log in', { err });
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await AdminSession.deleteOne({ _id: req.authSession._id });
+    res.json({ success: true });
+  } catch (err) {
+    req.log.error('failed to log out', { err });
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({
+    username: req.user.username,
+    role: req.user.role,
+    branch: req.user.branch,
+    expiresAt: req.authSession.expiresAt
+  });
+});
+
+// Invited staff (or staff after a reset) choose their password with the token the owner gave them.
+app.post('/api/auth/setup-password', async (req, res) => {
+  const { token = '', password = '' } = req.body || {};
+
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Missing token or password' });
+  }
+
+  if (String(password).length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+
+  try {
+    const user = await User.findOne({
+      setupTokenHash: hashToken(token),
+      setupTokenExpiresAt: { $gt: new Date() }
+    });
+    if (!user || user.status === 'disabled') {
+      return res.status(400).json({ error: 'Invite or reset link is invalid or has expired' });
+    }
+
+    user.passwordHash = await hashPassword(password);
+    user.setupTokenHash = '';
+    user.setupTokenExpiresAt = null;
+    user.status = 'active';
+    await user.save();
+
+    res.json({ success: true, username: user.username });
+  } catch (err) {
+    req.log.error('failed to set password', { err });
+    res.status(500).json({ error: 'Failed to set password' });
+  }
+});
+
+// ✅ Staff management (owner only)
+const STAFF_NAME_MAX = 100;
+
+// Checks the optional profile fields sent with an invite or edit; returns a list of errors.
+function validateStaffProfile({ name, email }) {
+  const errors = [];
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length > STAFF_NAME_MAX)) {
+    errors.push(`name must be text of at most ${STAFF_NAME_MAX} characters`);
+  }
+  if (email !== undefined && (typeof email !== 'string' || (email.trim() && !isValidEmail(email.trim())))) {
+    errors.push('email is not a valid address');
+  }
+  return errors;
+}
+
+app.get('/api/staff', requireOwner, async (req, res) => {
+  try {
+    const users = await User.find().sort({ createdAt: 1 }).lean();
+    res.json(users.map(toPublicUser));
+  } catch (err) {
+    req.log.error('failed to load staff', { err });
+    res.status(500).json({ error: 'Failed to load staff' });
+  }
+});
+
+app.post('/api/staff/invite', requireOwner, async (req, res) => {
+  const { username = '', name = '', email = '', role = '', branch = '' } = req.body || {};
+
+  if (!username || !USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Missing username or invalid role' });
+  }
+
+  if (role !== 'owner' && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: `Staff must be assigned to one of: ${BRANCHES.join(', ')}` });
+  }
+
+  const profileErrors = validateStaffProfile({ name, email });
+  if (profileErrors.length) {
+    return res.status(400).json({ error: 'Invalid staff details', details: profileErrors });
+  }
+
+  try {
+    const normalizedUsername = String(username).trim().toLowerCase();
+    if (await User.exists({ username: normalizedUsername })) {
+      return res.status(409).json({ error: 'Username already exists' });
+    }
+
+    const user = new User({
+      username: normalizedUsername,
+      name: name.trim(),
+      email: email.trim(),
+      role,
+      branch: role === 'owner' ? '' : branch,
+      status: 'invited',
+      invitedBy: req.user.id
+    });
+    const setupToken = issueSetupToken(user);
+    await user.save();
+
+    res.status(201).json({ ...toPublicUser(user), setupToken, setupTokenExpiresAt: user.setupTokenExpiresAt });
+  } catch (err) {
+    req.log.error('failed to invite staff', { err });
+    res.status(500).json({ error: 'Failed to invite staff' });
+  }
+});
+
+app.patch('/api/staff/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { name, email, role, branch } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid staff id' });
+  }
+
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+
+  if (String(req.user.id) === id && role !== undefined && role !== 'owner') {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  const profileErrors = validateStaffProfile({ name, email });
+  if (profileErrors.length) {
+    return res.status(400).json({ error: 'Invalid staff details', details: profileErrors });
+  }
+
+  try {
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    const previous = { role: user.role, branch: user.branch || '' };
+    if (name !== undefined) user.name = name.trim();
+    if (email !== undefined) user.email = email.trim();
+    if (role !== undefined) user.role = role;
+    if (branch !== undefined) user.branch = branch;
+    if (user.role === 'owner') user.branch = '';
+
+    if (user.role !== 'owner' && !BRANCHES.includes(user.branch)) {
+      return res.status(400).json({ error: `Staff must be assigned to one of: ${BRANCHES.join(', ')}` });
+    }
+
+    await user.save();
+
+    // Two owners demoting each other at once could otherwise leave nobody able to manage staff.
+    if (previous.role === 'owner' && user.role !== 'owner' &&
+        !(await User.exists({ role: 'owner', status: 'active' }))) {
+      user.role = previous.role;
+      user.branch = previous.branch;
+      await user.save();
+      return res.status(409).json({ error: 'At least one active owner must remain' });
+    }
+
+    // Sessions were granted under the old role and branch; make them sign in again.
+    if (user.role !== previous.role || user.branch !== previous.branch) {
+      await AdminSession.deleteMany({ userId: user._id });
+    }
+
+    res.json(toPublicUser(user));
+  } catch (err) {
+    req.log.error('failed to update staff', { err });
+    res.status(500).json({ error: 'Failed to update staff' });
+  }
+});
+
+app.post('/api/staff/:id/disable', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid staff id' });
+  }
+
+  if (String(req.user.id) === id) {
+    return res.status(400).json({ error: 'You cannot disable your own account' });
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(id, { status: 'disabled' }, { new: true });
+    if (!user) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    await AdminSession.deleteMany({ userId: user._id });
+    res.json(toPublicUser(user));
+  } catch (err) {
+    req.log.error('failed to disable staff', { err });
+    res.status(500).json({ error: 'Failed to disable staff' });
+  }
+});
+
+app.post('/api/staff/:id/enable', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid staff id' });
+  }
+
+  try {
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    // Accounts that never set a password go back to "invited" rather than "active".
+    user.status = user.passwordHash ? 'active' : 'invited';
+    await user.save();
+    res.json(toPublicUser(user));
+  } catch (err) {
+    req.log.error('failed to enable staff', { err });
+    res.status(500).json({ error: 'Failed to enable staff' });
+  }
+});
+
+// Clears the password, signs the member out everywhere and issues a new setup token.
+app.post('/api/staff/:id/reset', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid staff id' });
+  }
+
+  try {
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ error: 'Staff member not found' });
+    }
+
+    user.passwordHash = '';
+    if (user.status === 'active') user.status = 'invited';
+    const setupToken = issueSetupToken(user);
+    await user.save();
+    await AdminSession.deleteMany({ userId: user._id });
+
+    res.json({ ...toPublicUser(user), setupToken, setupTokenExpiresAt: user.setupTokenExpiresAt });
+  } catch (err) {
+    req.log.error('failed to reset staff', { err });
+    res.status(500).json({ error: 'Failed to reset staff' });
+  }
+});
+
+
+// ✅ Upload Image
+app.post('/api/upload', requireAuth, acceptImageUpload, async (req, res) => {
+  const { branch, cardNum, slot } = req.body;
+
+  const cardNumNum = Number(cardNum);
+
+  if (!req.file || !branch || !Number.isFinite(cardNumNum) || !slot) {
+    return res.status(400).json({ error: 'Missing image, branch, cardNum or slot' });
+  }
+
+  if (!['before', 'after'].includes(slot)) {
+    return res.status(400).json({ error: 'slot must be before or after' });
+  }
+
+  if (!BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  if (!canAccessBranch(req.user, branch)) {
+    return res.status(403).json({ error: 'You can only edit your assigned branch' });
+  }
+
+  try {
+    const processed = await processGalleryImage(req.file.buffer);
+    if (!processed) {
+      return res.status(415).json({ error: 'File is not a valid JPEG, PNG or WebP image' });
+    }
+
+    const result = await mediaStorage.upload(processed.data, {
+      folder: 'zumba-gallery',
+      resourceType: 'image',
+      extension: '.jpg'
+    });
+
+    await Image.deleteMany({ branch, cardNum: cardNumNum, slot });
+
+    const image = new Image({
+      url: result.url,
+      publicId: result.publicId,
+      branch,
+      cardNum: cardNumNum,
+      slot
+    });
+
+    await image.save();
+
+    // Also persist the URL into the branch card data so the gallery can reload it.
+    // (The frontend loads images from CardData via /api/load-cards.)
+    let previousUrl = '';
+    const saved = await writeBranchCards(branch, undefined, (cards) => {
+      let card = cards.find(c => c.cardNum === cardNumNum);
+      if (!card) {
+        card = { cardNum: cardNumNum };
+        cards.push(card);
+      }
+
+      const field = slot === 'before' ? 'beforeImg' : 'afterImg';
+      previousUrl = card[field] || '';
+      card[field] = result.url;
+      return { cards };
+    }, { action: 'upload', cardNum: cardNumNum, by: req.user.username });
+
+    if (saved.conflict) {
+      await mediaStorage.destroy(result.publicId, { resourceType: 'image' }).catch(() => {});
+      await Image.deleteOne({ _id: image._id });
+      return sendCardConflict(res, saved.conflict);
+    }
+
+    destroyUnreferencedImages([previousUrl]).catch((err) => {
+      req.log.error('failed to remove replaced gallery image', { err });
+    });
+
+    res.status(201).json({
+      url: result.url,
+      publicId: result.publicId,
+      width: processed.info.width,
+      height: processed.info.height,
+      cardNum: cardNumNum,
+      slot,
+      branch,
+      version: saved.cardData.version
+    });
+
+  } catch (err) {
+    req.log.error('image upload failed', { err });
+    res.status(500).json({ error: 'Image upload failed' });
+  }
+});
+
+// ✅ Get Images
+app.get('/api/images', async (req, res) => {
+  const { cardNum, slot } = req.query;
+  if (cardNum !== undefined && !/^\d{1,4}$/.test(cardNum)) {
+    return res.status(400).json({ error: 'cardNum must be a card number' });
+  }
+  if (slot !== undefined && !['before', 'after'].includes(slot)) {
+    return res.status(400).json({ error: 'slot must be before or after' });
+  }
+
+  try {
+    // Progress photos are private to staff.
+    const filter = { member: null };
+    if (cardNum) filter.cardNum = Number(cardNum);
+    if (slot) filter.slot = slot;
+
+    const images = await Image.find(filter).sort({ createdAt: 1 });
+    res.json(images);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load images' });
+  }
+});
+
+// ✅ Save Cards (branch wise)
+app.post('/api/save-cards', requireAuth, async (req, res) => {
+  const { branch, cards } = req.body;
+
+  if (!branch || !Array.isArray(cards) || !cards.every((card) => card && typeof card === 'object' && !Array.isArray(card))) {
+    return res.status(400).json({ error: 'Invalid payload' });
+  }
+
+  if (!BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  if (!canAccessBranch(req.user, branch)) {
+    return res.status(403).json({ error: 'You can only edit your assigned branch' });
+  }
+
+  const expectedVersion = readExpectedVersion(req);
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({ error: 'version must be a non-negative integer' });
+  }
+  // Replacing every card blind would silently drop edits made since the caller loaded them.
+  if (expectedVersion === undefined) {
+    return res.status(428).json({ error: 'Send the version you last loaded (body, ?version= or If-Match)' });
+  }
+
+  try {
+    const result = await writeBranchCards(branch, expectedVersion, (current) => (
+      hasAcceptedCardImages(cards, current) ? { cards: keepProgressLinks(cards, current) } : CARD_IMAGE_URL_ERROR
+    ), {
+      action: 'replace',
+      by: req.user.username
+    });
+    if (result.conflict) return sendCardConflict(res, result.conflict);
+    res.json({ success: true, version: result.cardData.version });
+  } catch (err) {
+    req.log.error('failed to save cards', { err });
+    res.status(500).json({ error: 'Failed to save cards' });
+  }
+});
+
+// ✅ Load Cards
+app.get('/api/load-cards', async (req, res) => {
+  const { branch } = req.query;
+  if (!branch) return res.status(400).json({ error: 'Missing branch' });
+  if (!BRANCHES.includes(branch)) return res.status(400).json({ error: 'Invalid branch' });
+
+  try {
+    const response = await cachedRead(`cards:${branch}`, async () => {
+      const [data, changedAt] = await Promise.all([CardData.findOne({ branch }).lean(), getChangedAt(`cards:${branch}`)]);
+      // Frontend expects an object with a `cards` array; `version` is echoed back on save.
+      const payload = { cards: data ? data.cards : [], version: data?.version || 0 };
+      // The ETag is the version, so it can be sent straight back as If-Match when saving.
+      return toCacheableResponse(payload, latestDate(data?.updatedAt, changedAt), { etag: `"${payload.version}"` });
+    });
+    sendCacheable(req, res, response);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load cards' });
+  }
+});
+
+// ✅ Per-card edits and revision history (branch galleries)
+function requireCardBranch(req, res, next) {
+  const { branch } = req.params;
+
+  if (!BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  if (!canAccessBranch(req.user, branch)) {
+    return res.status(403).json({ error: 'You can only edit your assigned branch' });
+  }
+
+  const expectedVersion = readExpectedVersion(req);
+  if (Number.isNaN(expectedVersion)) {
+    return res.status(400).json({ error: 'version must be a non-negative integer' });
+  }
+  req.expectedVersion = expectedVersion;
+  next();
+}
+
+function requireCardVersion(req, res, next) {
+  if (req.expectedVersion === undefined) {
+    return res.status(428).json({ error: 'Send the version you last loaded (body, ?version= or If-Match)' });
+  }
+  next();
+}
+
+app.post('/api/cards/:branch', requireAuth, requireCardBranch, requireCardVersion, async (req, res) => {
+  const fields = pickCardFields(req.body || {});
+  const requestedNum = req.body?.cardNum;
+
+  if (requestedNum !== undefined && (!Number.isInteger(Number(requestedNum)) || Number(requestedNum) < 1)) {
+    return res.status(400).json({ error: 'cardNum must be a positive integer' });
+  }
+
+  try {
+    let card = null;
+    const result = await writeBranchCards(req.params.branch, req.expectedVersion, (cards) => {
+      const cardNum = requestedNum !== undefined
+        ? Number(requestedNum)
+        : cards.reduce((max, c) => Math.max(max, c.cardNum || 0), 0) + 1;
+      if (cards.some((c) => c.cardNum === cardNum)) {
+        return { error: `Card ${cardNum} already exists`, status: 400 };
+      }
+      if (!hasAcceptedCardImages([fields], cards)) return CARD_IMAGE_URL_ERROR;
+      card = { cardNum, ...fields };
+      return { cards: [...cards, card] };
+    }, { action: 'create', cardNum: requestedNum !== undefined ? Number(requestedNum) : null, by: req.user.username });
+
+    if (result.conflict) return sendCardConflict(res, result.conflict);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.status(201).json({
+      version: result.cardData.version,
+      card: result.cardData.cards.find((c) => c.cardNum === card.cardNum)
+    });
+  } catch (err) {
+    req.log.error('failed to add card', { err });
+    res.status(500).json({ error: 'Failed to add card' });
+  }
+});
+
+app.patch('/api/cards/:branch/:cardNum', requireAuth, requireCardBranch, requireCardVersion, async (req, res) => {
+  const cardNum = Number(req.params.cardNum);
+  const fields = pickCardFields(req.body || {});
+
+  if (!Object.keys(fields).length) {
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${CARD_FIELDS.join(', ')}` });
+  }
+
+  try {
+    const result = await writeBranchCards(req.params.branch, req.expectedVersion, (cards) => {
+      const index = cards.findIndex((c) => c.cardNum === cardNum);
+      if (index === -1) return { error: 'Card not found', status: 404 };
+      if (!hasAcceptedCardImages([fields], cards)) return CARD_IMAGE_URL_ERROR;
+      cards[index] = { ...cards[index], ...fields };
+      return { cards };
+    }, { action: 'update', cardNum, by: req.user.username });
+
+    if (result.conflict) return sendCardConflict(res, result.conflict);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      version: result.cardData.version,
+      card: result.cardData.cards.find((c) => c.cardNum === cardNum)
+    });
+  } catch (err) {
+    req.log.error('failed to update card', { err });
+    res.status(500).json({ error: 'Failed to update card' });
+  }
+});
+
+app.delete('/api/cards/:branch/:cardNum', requireAuth, requireCardBranch, requireCardVersion, async (req, res) => {
+  const cardNum = Number(req.params.cardNum);
+
+  try {
+    const result = await writeBranchCards(req.params.branch, req.expectedVersion, (cards) => {
+      if (!cards.some((c) => c.cardNum === cardNum)) return { error: 'Card not found', status: 404 };
+      return { cards: cards.filter((c) => c.cardNum !== cardNum) };
+    }, { action: 'delete', cardNum, by: req.user.username });
+
+    if (result.conflict) return sendCardConflict(res, result.conflict);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({ success: true, version: result.cardData.version });
+  } catch (err) {
+    req.log.error('failed to delete card', { err });
+    res.status(500).json({ error: 'Failed to delete card' });
+  }
+});
+
+app.get('/api/cards/:branch/revisions', requireAuth, requireCardBranch, async (req, res) => {
+  try {
+    const revisions = await CardRevision.find({ branch: req.params.branch })
+      .sort({ version: -1 })
+      .lean();
+
+    res.json(revisions.map(({ cards, ...revision }) => ({ ...revision, cardCount: cards.length })));
+  } catch (err) {
+    req.log.error('failed to load card revisions', { err });
+    res.status(500).json({ error: 'Failed to load revisions' });
+  }
+});
+
+app.get('/api/cards/:branch/revisions/:revision', requireAuth, requireCardBranch, async (req, res) => {
+  try {
+    const revision = await CardRevision.findOne({
+      branch: req.params.branch,
+      version: Number(req.params.revision)
+    }).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+    res.json(revision);
+  } catch (err) {
+    req.log.error('failed to load card revision', { err });
+    res.status(500).json({ error: 'Failed to load revision' });
+  }
+});
+
+// Restoring is itself a new version, so it can be undone the same way.
+app.post('/api/cards/:branch/revisions/:revision/restore', requireAuth, requireCardBranch, requireCardVersion, async (req, res) => {
+  try {
+    const revision = await CardRevision.findOne({
+      branch: req.params.branch,
+      version: Number(req.params.revision)
+    }).lean();
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+    const result = await writeBranchCards(req.params.branch, req.expectedVersion, () => ({ cards: revision.cards }), {
+      action: `restore of v${revision.version}`,
+      by: req.user.username
+    });
+
+    if (result.conflict) return sendCardConflict(res, result.conflict);
+    res.json({ success: true, version: result.cardData.version, cards: result.cardData.cards });
+  } catch (err) {
+    req.log.error('failed to restore card revision', { err });
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// ✅ Offers
+function readOfferBranch(req, res) {
+  const branch = req.query.branch ? String(req.query.branch) : '';
+  if (branch && !BRANCHES.includes(branch)) {
+    res.status(400).json({ error: 'Invalid branch' });
+    return null;
+  }
+  return branch;
+}
+
+// Everything running now for ?branch= (or all branches), best first.
+app.get('/api/offers/active', async (req, res) => {
+  const branch = readOfferBranch(req, res);
+  if (branch === null) return;
+
+  try {
+    const response = await cachedOffersResponse('active-response', branch, (offers) => offers.map(toPublicOffer));
+    sendCacheable(req, res, response);
+  } catch (err) {
+    req.log.error('failed to load active offers', { err });
+    res.status(500).json({ error: 'Failed to load offers' });
+  }
+});
+
+// Legacy single-offer API used by index.html: reads the top active offer; edits and removals
+// only ever touch the all-branch offer, never a branch's own deal.
+app.get('/api/offers/latest', async (req, res) => {
+  const branch = readOfferBranch(req, res);
+  if (branch === null) return;
+
+  try {
+    const response = await cachedOffersResponse('latest-response', branch, ([offer]) => (offer ? toPublicOffer(offer) : null));
+    sendCacheable(req, res, response);
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to load offer' });
+  }
+});
+
+app.post('/api/offers/latest', requireOwner, async (req, res) => {
+  const { title = '', details = '', imageUrl = '' } = req.body || {};
+  if (!title && !details && !imageUrl) {
+    return res.status(400).json({ error: 'Nothing to save' });
+  }
+
+  const { values, errors } = parseOfferInput({ title, details, imageUrl });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid offer', details: errors });
+  }
+
+  try {
+    const current = await findGlobalActiveOffer();
+    if (!isAcceptedMediaUrl(values.imageUrl, [current?.imageUrl])) {
+      return res.status(400).json({ error: 'Invalid offer', details: [OFFER_IMAGE_URL_ERROR] });
+    }
+
+    const offer = current
+      ? await Offer.findByIdAndUpdate(current._id, { ...values, updatedAt: new Date() }, { new: true })
+      : await Offer.create({ ...values, status: 'published', createdBy: req.user.username });
+    await clearOfferCache();
+    if (!current) emitWebhookEvent('offer.published', toWebhookOffer(offer));
+
+    if (current && current.imageUrl !== offer.imageUrl) {
+      destroyUnreferencedOfferImage(current.imageUrl).catch((err) => {
+        req.log.error('failed to remove replaced offer image', { err });
+      });
+    }
+
+    res.json(toPublicOffer(offer));
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to save offer' });
+  }
+});
+
+// Archives (rather than deletes) the offer visitors currently see, so plan promos keep their link.
+app.delete('/api/offers/latest', requireOwner, async (req, res) => {
+  try {
+    const current = await findGlobalActiveOffer();
+    if (current) {
+      const offer = await Offer.findByIdAndUpdate(current._id, { status: 'archived', updatedAt: new Date() }, { new: true });
+      await clearOfferCache();
+      if (offer) emitWebhookEvent('offer.removed', toWebhookOffer(offer));
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete offer' });
+  }
+});
+
+app.get('/api/offers', requireOwner, async (req, res) => {
+  const { status } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (status && !OFFER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${OFFER_STATUSES.join(', ')}` });
+  }
+  const branch = readOfferBranch(req, res);
+  if (branch === null) return;
+
+  try {
+    const filter = {};
+    if (status) filter.status = status;
+    if (branch) filter.branch = branch;
+
+    const [offers, total] = await Promise.all([
+      Offer.find(filter)
+        .sort({ startsAt: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Offer.countDocuments(filter)
+    ]);
+
+    res.json({ offers: offers.map(toOfferSummary), total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    req.log.error('failed to load offers', { err });
+    res.status(500).json({ error: 'Failed to load offers' });
+  }
+});
+
+app.post('/api/offers', requireOwner, async (req, res) => {
+  const { values, errors } = parseOfferInput(req.body);
+  if (!isAcceptedMediaUrl(values.imageUrl)) errors.push(OFFER_IMAGE_URL_ERROR);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid offer', details: errors });
+  }
+
+  try {
+    const offer = await Offer.create({ ...values, createdBy: req.user.username });
+    await clearOfferCache();
+    if (offer.status === 'published') emitWebhookEvent('offer.published', toWebhookOffer(offer));
+    res.status(201).json(toOfferSummary(offer));
+  } catch (err) {
+    req.log.error('failed to create offer', { err });
+    res.status(500).json({ error: 'Failed to create offer' });
+  }
+});
+
+app.patch('/api/offers/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid offer id' });
+  }
+
+  const { values, errors } = parseOfferInput(req.body, { partial: true });
+  if (!Object.keys(values).length) {
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${OFFER_FIELDS.join(', ')}` });
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid offer', details: errors });
+  }
+
+  try {
+    const offer = await Offer.findById(id);
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    if (values.imageUrl !== undefined && !isAcceptedMediaUrl(values.imageUrl, [offer.imageUrl])) {
+      return res.status(400).json({ error: 'Invalid offer', details: [OFFER_IMAGE_URL_ERROR] });
+    }
+
+    const previousImageUrl = offer.imageUrl;
+    const wasPublished = offer.status === 'published';
+    Object.assign(offer, values, { updatedAt: new Date() });
+    // Only one side of the window may have changed, so compare against the stored dates too.
+    if (offer.startsAt && offer.endsAt && offer.endsAt <= offer.startsAt) {
+      return res.status(400).json({ error: 'Invalid offer', details: ['endsAt must be after startsAt'] });
+    }
+
+    await offer.save();
+    await clearOfferCache();
+    if (wasPublished !== (offer.status === 'published')) {
+      emitWebhookEvent(wasPublished ? 'offer.removed' : 'offer.published', toWebhookOffer(offer));
+    }
+
+    if (previousImageUrl !== offer.imageUrl) {
+      destroyUnreferencedOfferImage(previousImageUrl).catch((err) => {
+        req.log.error('failed to remove replaced offer image', { err });
+      });
+    }
+
+    res.json(toOfferSummary(offer));
+  } catch (err) {
+    req.log.error('failed to update offer', { err });
+    res.status(500).json({ error: 'Failed to update offer' });
+  }
+});
+
+app.post('/api/offers/:id/archive', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid offer id' });
+  }
+
+  try {
+    const offer = await Offer.findById(id);
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    const wasPublished = offer.status === 'published';
+    Object.assign(offer, { status: 'archived', updatedAt: new Date() });
+    await offer.save();
+    await clearOfferCache();
+    if (wasPublished) emitWebhookEvent('offer.removed', toWebhookOffer(offer));
+    res.json(toOfferSummary(offer));
+  } catch (err) {
+    req.log.error('failed to archive offer', { err });
+    res.status(500).json({ error: 'Failed to archive offer' });
+  }
+});
+
+// ✅ Offer image upload: returns a URL to save as an offer's imageUrl.
+app.post('/api/offers/images', requireOwner, acceptImageUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Missing image' });
+  }
+
+  try {
+    const processed = await processOfferImage(req.file.buffer);
+    if (!processed) {
+      return res.status(415).json({ error: 'File is not a valid JPEG, PNG or WebP image' });
+    }
+
+    const result = await mediaStorage.upload(processed.data, {
+      folder: 'zumba-offers',
+      resourceType: 'image',
+      extension: '.jpg'
+    });
+
+    res.status(201).json({
+      url: result.url,
+      publicId: result.publicId,
+      width: processed.info.width,
+      height: processed.info.height,
+      bytes: processed.info.size
+    });
+  } catch (err) {
+    req.log.error('offer image upload failed', { err });
+    res.status(500).json({ error: 'Upload failed' });
+  }
+});
+
+// ✅ Offer analytics: the landing page reports modal views and CTA clicks.
+const OFFER_EVENT_FIELDS = { view: 'views', click: 'clicks' };
+
+app.post('/api/offers/:id/events', limitByIp(offerEventIpLimiter), async (req, res) => {
+  const { id } = req.params;
+  const type = String(req.body?.type || '');
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid offer id' });
+  }
+
+  if (!OFFER_EVENT_FIELDS[type]) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(OFFER_EVENT_FIELDS).join(', ')}` });
+  }
+
+  try {
+    if (!await Offer.exists({ _id: id, status: 'published' })) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    await OfferStat.updateOne(
+      { offer: id, date: getStudioToday() },
+      { $inc: { [OFFER_EVENT_FIELDS[type]]: 1 } },
+      { upsert: true }
+    );
+    res.json({ success: true });
+  } catch (err) {
+    req.log.error('failed to record offer event', { err });
+    res.status(500).json({ error: 'Failed to record offer event' });
+  }
+});
+
+// Views, clicks and attributed (non-flagged) inquiries per offer for a studio-date range.
+app.get('/api/offers/analytics', requireOwner, async (req, res) => {
+  const to = req.query.to || getStudioToday();
+  const from = req.query.from || shiftDate(to, -29);
+
+  if (!isValidBookingDate(from) || !isValidBookingDate(to) || from > to) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD with from <= to' });
+  }
+
+  try {
+    const [stats, inquiries] = await Promise.all([
+      OfferStat.aggregate([
+        { $match: { date: { $gte: from, $lte: to } } },
+        { $group: { _id: '$offer', views: { $sum: '$views' }, clicks: { $sum: '$clicks' } } }
+      ]),
+      ContactInquiry.aggregate([
+        {
+          $match: {
+            offer: { $ne: null },
+            flagged: { $ne: true },
+            createdAt: { $gte: getClassStart(from, '00:00'), $lt: new Date(getClassStart(to, '00:00').getTime() + DAY_MS) }
+          }
+        },
+        { $group: { _id: '$offer', inquiries: { $sum: 1 }, joined: { $sum: { $cond: [{ $eq: ['$status', 'joined'] }, 1, 0] } } } }
+      ])
+    ]);
+
+    const byOffer = new Map();
+    const entryFor = (offerId) => {
+      const key = String(offerId);
+      if (!byOffer.has(key)) byOffer.set(key, { views: 0, clicks: 0, inquiries: 0, joined: 0 });
+      return byOffer.get(key);
+    };
+    stats.forEach((stat) => Object.assign(entryFor(stat._id), { views: stat.views, clicks: stat.clicks }));
+    inquiries.forEach((row) => Object.assign(entryFor(row._id), { inquiries: row.inquiries, joined: row.joined }));
+
+    const offers = await Offer.find({ _id: { $in: [...byOffer.keys()] } }).lean();
+    const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+    res.json({
+      from,
+      to,
+      offers: offers
+        .map((offer) => {
+          const counts = byOffer.get(String(offer._id));
+          return {
+            id: offer._id,
+            title: offer.title || '',
+            branch: offer.branch || '',
+            state: getOfferState(offer),
+            ...counts,
+            clickRate: rate(counts.clicks, counts.views),
+            inquiryRate: rate(counts.inquiries, counts.views)
+          };
+        })
+        .sort((a, b) => b.views - a.views || b.inquiries - a.inquiries)
+    });
+  } catch (err) {
+    req.log.error('failed to load offer analytics', { err });
+    res.status(500).json({ error: 'Failed to load offer analytics' });
+  }
+});
+
+// ✅ Promo codes
+// Public check used by the contact form before submitting.
+app.get('/api/promo-codes/validate', limitByIp(promoCheckIpLimiter), async (req, res) => {
+  const code = normalizePromoCode(req.query.code);
+  const branch = req.query.branch ? String(req.query.branch) : '';
+
+  if (!code) {
+    return res.status(400).json({ error: 'Missing code' });
+  }
+  if (branch && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  try {
+    const promo = await PromoCode.findOne({ code }).lean();
+    const problem = getPromoCodeProblem(promo, { branch });
+    if (problem) return res.json({ valid: false, reason: problem });
+    res.json({ valid: true, ...toPublicPromoCode(promo) });
+  } catch (err) {
+    req.log.error('failed to validate promo code', { err });
+    res.status(500).json({ error: 'Failed to validate promo code' });
+  }
+});
+
+app.get('/api/promo-codes', requireOwner, async (req, res) => {
+  const { active, branch } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (branch && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  try {
+    const filter = {};
+    if (active === 'true' || active === 'false') filter.active = active === 'true';
+    if (branch) filter.branch = branch;
+
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('referrer', 'name phone branch'),
+      PromoCode.countDocuments(filter)
+    ]);
+
+    res.json({ promoCodes, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    req.log.error('failed to load promo codes', { err });
+    res.status(500).json({ error: 'Failed to load promo codes' });
+  }
+});
+
+app.post('/api/promo-codes', requireOwner, async (req, res) => {
+  const { values, errors } = parsePromoCodeInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid promo code', details: errors });
+  }
+
+  try {
+    if (values.referrer && !await Member.exists({ _id: values.referrer })) {
+      return res.status(404).json({ error: 'Referring member not found' });
+    }
+
+    const promo = await PromoCode.create({ ...values, createdBy: req.user.username });
+    res.status(201).json(promo);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A promo code with that code already exists' });
+    }
+    req.log.error('failed to create promo code', { err });
+    res.status(500).json({ error: 'Failed to create promo code' });
+  }
+});
+
+app.patch('/api/promo-codes/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid promo code id' });
+  }
+
+  const { values, errors } = parsePromoCodeInput(req.body, { partial: true });
+  if (!Object.keys(values).length) {
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${PROMO_CODE_FIELDS.join(', ')}` });
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid promo code', details: errors });
+  }
+
+  try {
+    const promo = await PromoCode.findById(id);
+    if (!promo) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    if (values.referrer && !await Member.exists({ _id: values.referrer })) {
+      return res.status(404).json({ error: 'Referring member not found' });
+    }
+
+    Object.assign(promo, values, { updatedAt: new Date() });
+    if (promo.startsAt && promo.endsAt && promo.endsAt <= promo.startsAt) {
+      return res.status(400).json({ error: 'Invalid promo code', details: ['endsAt must be after startsAt'] });
+    }
+    if (promo.discountType === 'percent' && promo.discountValue > 100) {
+      return res.status(400).json({ error: 'Invalid promo code', details: ['discountValue is out of range'] });
+    }
+
+    await promo.save();
+    res.json(promo);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'A promo code with that code already exists' });
+    }
+    req.log.error('failed to update promo code', { err });
+    res.status(500).json({ error: 'Failed to update promo code' });
+  }
+});
+
+// Redemptions per code and referrals per member from (non-flagged) inquiries, with how
+// many of them went on to join. from/to are optional YYYY-MM-DD studio dates.
+app.get('/api/promo-codes/report', requireOwner, async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !isValidBookingDate(from)) || (to && !isValidBookingDate(to)) || (from && to && from > to)) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD with from <= to' });
+  }
+
+  const match = { flagged: { $ne: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = getClassStart(from, '00:00');
+    if (to) match.createdAt.$lt = new Date(getClassStart(to, '00:00').getTime() + DAY_MS);
+  }
+  const joinedCount = { $sum: { $cond: [{ $eq: ['$status', 'joined'] }, 1, 0] } };
+
+  try {
+    const [redemptions, referrals] = await Promise.all([
+      ContactInquiry.aggregate([
+        { $match: { ...match, promo: { $ne: null } } },
+        { $group: { _id: '$promo', redemptions: { $sum: 1 }, joined: joinedCount } }
+      ]),
+      ContactInquiry.aggregate([
+        { $match: { ...match, referrer: { $ne: null } } },
+        { $group: { _id: '$referrer', referrals: { $sum: 1 }, joined: joinedCount, lastReferralAt: { $max: '$createdAt' } } }
+      ])
+    ]);
+
+    const [promoCodes, members] = await Promise.all([
+      PromoCode.find({ _id: { $in: redemptions.map((row) => row._id) } }).lean(),
+      Member.find({ _id: { $in: referrals.map((row) => row._id) } }).select('name phone branch').lean()
+    ]);
+    const promoById = new Map(promoCodes.map((promo) => [String(promo._id), promo]));
+    const memberById = new Map(members.map((member) => [String(member._id), member]));
+
+    res.json({
+      from: from || null,
+      to: to || null,
+      codes: redemptions
+        .filter((row) => promoById.has(String(row._id)))
+        .map((row) => {
+          const promo = promoById.get(String(row._id));
+          return {
+            id: promo._id,
+            code: promo.code,
+            referrer: promo.referrer,
+            usageCount: promo.usageCount,
+            usageLimit: promo.usageLimit,
+            redemptions: row.redemptions,
+            joined: row.joined
+          };
+        })
+        .sort((a, b) => b.redemptions - a.redemptions),
+      referrers: referrals
+        .filter((row) => memberById.has(String(row._id)))
+        .map((row) => {
+          const member = memberById.get(String(row._id));
+          return {
+            memberId: member._id,
+            name: member.name,
+            phone: member.phone,
+            branch: member.branch,
+            referrals: row.referrals,
+            joined: row.joined,
+            lastReferralAt: row.lastReferralAt
+          };
+        })
+        .sort((a, b) => b.referrals - a.referrals || b.joined - a.joined)
+    });
+  } catch (err) {
+    req.log.error('failed to load promo report', { err });
+    res.status(500).json({ error: 'Failed to load promo report' });
+  }
+});
+
+// ✅ Contact inquiries
+app.post('/api/contact/inquiries', limitByIp(inquiryIpLimiter), async (req, res) => {
+  const body = req.body || {};
+  const name = String(body.name || '').trim();
+  const email = String(body.email || '').trim().toLowerCase();
+  const phone = String(body.phone || '').trim();
+  const message = String(body.message || '').trim();
+  const preferredBranch = String(body.preferredBranch || '');
+  const offerId = String(body.offerId || '');
+  const promoCode = normalizePromoCode(body.promoCode);
+  const referredBy = String(body.referredBy || '').trim();
+
+  if (!name || !email || !message) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (preferredBranch && !BRANCHES.includes(preferredBranch)) {
+    return res.status(400).json({ error: 'Invalid preferred branch' });
+  }
+
+  const fieldErrors = validateInquiryFields({ name, email, phone, message, referredBy });
+  if (fieldErrors.length) {
+    return res.status(400).json({ error: 'Invalid inquiry', details: fieldErrors });
+  }
+
+  const emailLimit = await inquiryEmailLimiter(email);
+  if (!emailLimit.allowed) {
+    return sendRateLimited(res, emailLimit.retryAfterMs);
+  }
+
+  try {
+    // The same person double-submitting gets the original inquiry back, with no second email.
+    const duplicate = await ContactInquiry.findOne({
+      email,
+      message,
+      createdAt: { $gte: new Date(Date.now() - INQUIRY_DUPLICATE_WINDOW_MS) }
+    });
+    if (duplicate) {
+      return res.status(200).json({ ...duplicate.toObject(), duplicate: true, emailQueued: false });
+    }
+
+    let promo = null;
+    if (promoCode) {
+      promo = await PromoCode.findOne({ code: promoCode }).lean();
+      const problem = getPromoCodeProblem(promo, { branch: preferredBranch });
+      if (problem) {
+        return res.status(400).json({ error: 'Invalid promo code', details: [problem] });
+      }
+    }
+
+    const flagReasons = getSpamReasons(body, message);
+    // Suspected spam never uses up a limited code.
+    if (promo && !flagReasons.length) {
+      promo = await claimPromoCode(promo);
+      if (!promo) {
+        return res.status(400).json({ error: 'Invalid promo code', details: ['This promo code has been fully redeemed'] });
+      }
+    }
+
+    // Attribution is best effort: an unknown or stale offer id never blocks the enquiry.
+    const offer = mongoose.Types.ObjectId.isValid(offerId) ? await Offer.exists({ _id: offerId }) : null;
+    const referrer = promo?.referrer || (await findReferringMember(referredBy))?._id || null;
+
+    let inquiry;
+    try {
+      inquiry = await ContactInquiry.create({
+        name,
+        email,
+        phone,
+        message,
+        preferredBranch,
+        offer: offer?._id || null,
+        promoCode,
+        promo: flagReasons.length ? null : promo?._id || null,
+        referredBy,
+        referrer,
+        flagged: flagReasons.length > 0,
+        flagReasons,
+        ip: req.ip || ''
+      });
+    } catch (createErr) {
+      if (promo && !flagReasons.length) {
+        await PromoCode.updateOne({ _id: promo._id }, { $inc: { usageCount: -1 } }).catch(() => {});
+      }
+      throw createErr;
+    }
+
+    if (!inquiry.flagged) emitWebhookEvent('inquiry.created', toWebhookInquiry(inquiry));
+
+    let emailQueued = false;
+    let acknowledgementQueued = false;
+    if (!inquiry.flagged && mailTransporter && CONTACT_FROM_EMAIL) {
+      try {
+        const notification = await renderEmail('inquiry-notification', {
+          name,
+          email,
+          phone: phone || 'Not provided',
+          preferredBranch: preferredBranch ? formatBranchLabel(preferredBranch) : 'Not specified',
+          message,
+          submittedAt: new Date(inquiry.createdAt).toLocaleString()
+        });
+        emailQueued = !!await queueEmail('inquiry-notification', {
+          to: CONTACT_TO_EMAIL,
+          replyTo: email,
+          ...notification
+        });
+      } catch (mailErr) {
+        req.log.error('failed to queue contact inquiry email', { err: mailErr });
+      }
+
+      try {
+        const acknowledgement = await renderEmail('inquiry-acknowledgement', {
+          name,
+          branchDetails: await describeBranchDetails()
+        });
+        acknowledgementQueued = !!await queueEmail('inquiry-acknowledgement', {
+          to: email,
+          replyTo: CONTACT_TO_EMAIL,
+          ...acknowledgement
+        });
+      } catch (mailErr) {
+        req.log.error('failed to queue inquiry acknowledgement email', { err: mailErr });
+      }
+    }
+
+    // Flagged submissions look successful so bots get no signal to adapt.
+    const responsePayload = inquiry.toObject();
+    delete responsePayload.flagged;
+    delete responsePayload.flagReasons;
+    delete responsePayload.ip;
+    responsePayload.emailQueued = emailQueued;
+    responsePayload.acknowledgementQueued = acknowledgementQueued;
+
+    res.status(201).json(responsePayload);
+  } catch (err) {
+    req.log.error('failed to save inquiry', { err });
+    res.status(500).json({ error: 'Failed to save inquiry' });
+  }
+});
+
+// Filters: status, branch, from/to (dates), search (name/email/phone/message), flagged
+// (default hides suspected spam; "true" shows only flagged, "all" shows both).
+// Returns { filter } or { error } for a 400.
+function parseInquiryFilter(query) {
+  const { status, branch, from, to, search } = query;
+  const flagged = String(query.flagged || 'false').toLowerCase();
+
+  if (status && !INQUIRY_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${INQUIRY_STATUSES.join(', ')}` };
+  }
+
+  if (branch && !BRANCHES.includes(branch)) {
+    return { error: 'Invalid branch' };
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  const filter = {};
+  if (flagged === 'true') filter.flagged = true;
+  else if (flagged !== 'all') filter.flagged = { $ne: true };
+  if (status) filter.status = status;
+  if (branch) filter.preferredBranch = branch;
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    // A bare date for "to" includes that whole day.
+    if (toDate) filter.createdAt.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(toDate.getTime() + DAY_MS - 1) : toDate;
+  }
+  if (search) {
+    const pattern = new RegExp(escapeRegExp(search), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }, { message: pattern }];
+  }
+
+  return { filter };
+}
+
+// Paginated newest first; see parseInquiryFilter for the filters.
+app.get('/api/contact/inquiries', requireOwner, async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const { filter, error } = parseInquiryFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [inquiries, total] = await Promise.all([
+      ContactInquiry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('assignedTo', 'username name')
+        .populate('offer', 'title'),
+      ContactInquiry.countDocuments(filter)
+    ]);
+
+    res.json({ inquiries, total, page, limit, pages: Math.ceil(total / limit) });
+  } catch (err) {
+    req.log.error('failed to load inquiries', { err });
+    res.status(500).json({ error: 'Failed to load inquiries' });
+  }
+});
+
+const INQUIRY_CSV_COLUMNS = [
+  ['Submitted', (inq) => inq.createdAt?.toISOString()],
+  ['Name', (inq) => inq.name],
+  ['Email', (inq) => inq.email],
+  ['Phone', (inq) => inq.phone],
+  ['Branch', (inq) => (inq.preferredBranch ? formatBranchLabel(inq.preferredBranch) : '')],
+  ['Status', (inq) => inq.status],
+  ['Assigned to', (inq) => inq.assignedTo?.name || inq.assignedTo?.username],
+  ['Message', (inq) => inq.message],
+  ['Offer', (inq) => inq.offer?.title],
+  ['Promo code', (inq) => inq.promoCode],
+  ['Referred by', (inq) => inq.referredBy],
+  ['Notes', (inq) => (inq.notes || []).map((note) => `${note.at?.toISOString().slice(0, 10)} ${note.by}: ${note.text}`).join('\n')],
+  ['Flagged', (inq) => (inq.flagged ? (inq.flagReasons || []).join('; ') || 'yes' : '')]
+];
+
+// Writes to a streamed response, waiting out backpressure. Resolves to false once the client has gone.
+async function writeChunk(res, chunk) {
+  if (res.destroyed) return false;
+  if (!res.write(chunk)) {
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+  return !res.destroyed;
+}
+
+// RFC 4180 quoting. Cells that a spreadsheet would run as a formula (=, +, -, @) get a
+// leading apostrophe so an enquiry cannot smuggle one into the owner's Excel.
+function toCsvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Same filters as the list (all pages), oldest first, streamed so large exports stay cheap.
+app.get('/api/contact/inquiries/export.csv', requireOwner, async (req, res) => {
+  const { filter, error } = parseInquiryFilter(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const cursor = ContactInquiry.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('assignedTo', 'username name')
+      .populate('offer', 'title')
+      .lean()
+      .cursor();
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="inquiries-${getStudioToday()}.csv"`);
+    // The byte order mark makes Excel read the file as UTF-8 (names with accents, emoji).
+    res.write(`\ufeff${INQUIRY_CSV_COLUMNS.map(([header]) => header).join(',')}\r\n`);
+
+    for await (const inquiry of cursor) {
+      const row = INQUIRY_CSV_COLUMNS.map(([, read]) => toCsvCell(read(inquiry))).join(',');
+      if (!await writeChunk(res, `${row}\r\n`)) return cursor.close();
+    }
+    res.end();
+  } catch (err) {
+    req.log.error('failed to export inquiries', { err });
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Failed to export inquiries' });
+  }
+});
+
+app.patch('/api/contact/inquiries/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { status, assignedTo, preferredBranch, flagged } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid inquiry id' });
+  }
+
+  if (status !== undefined && !INQUIRY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+  }
+
+  if (preferredBranch !== undefined && preferredBranch !== '' && !BRANCHES.includes(preferredBranch)) {
+    return res.status(400).json({ error: 'Invalid preferred branch' });
+  }
+
+  if (assignedTo !== undefined && assignedTo !== null && !mongoose.Types.ObjectId.isValid(assignedTo)) {
+    return res.status(400).json({ error: 'Invalid staff id' });
+  }
+
+  try {
+    if (assignedTo && !(await User.exists({ _id: assignedTo }))) {
+      return res.status(400).json({ error: 'Staff member not found' });
+    }
+
+    const update = { updatedAt: new Date() };
+    if (status !== undefined) update.status = status;
+    if (preferredBranch !== undefined) update.preferredBranch = preferredBranch;
+    if (assignedTo !== undefined) update.assignedTo = assignedTo || null;
+    // Owners clear (or set) the spam flag after review.
+    if (flagged !== undefined) {
+      update.flagged = flagged === true || flagged === 'true';
+      if (!update.flagged) update.flagReasons = [];
+    }
+
+    const inquiry = await ContactInquiry.findByIdAndUpdate(id, update, { new: true }).populate('assignedTo', 'username name');
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    res.json(inquiry);
+  } catch (err) {
+    req.log.error('failed to update inquiry', { err });
+    res.status(500).json({ error: 'Failed to update inquiry' });
+  }
+});
+
+app.post('/api/contact/inquiries/:id/notes', requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const text = String(req.body?.text || '').trim();
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid inquiry id' });
+  }
+
+  if (!text) {
+    return res.status(400).json({ error: 'Missing note text' });
+  }
+
+  try {
+    const inquiry = await ContactInquiry.findByIdAndUpdate(
+      id,
+      { $push: { notes: { text, by: req.user.username, at: new Date() } }, updatedAt: new Date() },
+      { new: true }
+    ).populate('assignedTo', 'username name');
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    res.status(201).json(inquiry);
+  } catch (err) {
+    req.log.error('failed to add inquiry note', { err });
+    res.status(500).json({ error: 'Failed to add inquiry note' });
+  }
+});
+
+app.delete('/api/contact/inquiries/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid inquiry id' });
+  }
+
+  try {
+    const inquiry = await ContactInquiry.findByIdAndDelete(id);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    res.json({ success: true, id });
+  } catch (err) {
+    req.log.error('failed to delete inquiry', { err });
+    res.status(500).json({ error: 'Failed to delete inquiry' });
+  }
+});
+
+// ✅ Video reviews
+// Single-request upload for small files. The file is spooled to disk by multer, not held in memory.
+app.post('/api/videos/upload', requireAuth, requireRole('owner', 'branch-manager'), acceptVideoUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Missing video file' });
+  }
+
+  try {
+    const { values, errors } = parseVideoInput(req.body);
+    const branchError = videoBranchError(req.user, values.branch || '');
+    if (branchError) errors.push(branchError);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid video details', details: errors });
+    }
+
+    const result = await storeVideoFile(req.file.path, {
+      fileName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      details: values
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.status(201).json(result.video);
+  } catch (err) {
+    req.log.error('failed to upload video', { err });
+    res.status(500).json({ error: 'Failed to upload video' });
+  } finally {
+    await removeTempFile(req.file.path);
+  }
+});
+
+// ✅ Chunked, resumable video uploads: init -> PUT parts (any order, retry freely) -> complete (or abort)
+async function loadUploadSession(req, res, next) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid upload id' });
+  }
+
+  try {
+    const session = await VideoUploadSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    if (String(session.userId) !== String(req.user.id) && req.user.role !== 'owner') {
+      return res.status(403).json({ error: 'This upload belongs to another user' });
+    }
+    req.uploadSession = session;
+    next();
+  } catch (err) {
+    req.log.error('failed to load upload session', { err });
+    res.status(500).json({ error: 'Failed to load upload' });
+  }
+}
+
+const requireVideoManager = [requireAuth, requireRole('owner', 'branch-manager')];
+
+app.post('/api/videos/uploads', requireVideoManager, async (req, res) => {
+  const { fileName = '', mimeType = '', durationSeconds } = req.body || {};
+  const size = Number(req.body?.size);
+
+  if (!String(mimeType).startsWith('video/')) {
+    return res.status(415).json({ error: 'Only video files are allowed' });
+  }
+
+  if (!Number.isInteger(size) || size <= 0) {
+    return res.status(400).json({ error: 'size must be the file size in bytes' });
+  }
+
+  if (size > VIDEO_MAX_MB * 1024 * 1024) {
+    return res.status(413).json({ error: `Videos must be ${VIDEO_MAX_MB} MB or smaller` });
+  }
+
+  // The browser's reading is only used to fail fast; the stored file is checked again on complete.
+  if (Number(durationSeconds) > VIDEO_MAX_SECONDS) {
+    return res.status(400).json({ error: `Videos must be ${VIDEO_MAX_SECONDS} seconds or shorter` });
+  }
+
+  const { values, errors } = parseVideoInput(req.body);
+  const branchError = videoBranchError(req.user, values.branch || '');
+  if (branchError) errors.push(branchError);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid video details', details: errors });
+  }
+
+  try {
+    await fs.promises.mkdir(VIDEO_UPLOAD_DIR, { recursive: true });
+    const tempPath = path.join(VIDEO_UPLOAD_DIR, `chunked_${crypto.randomBytes(12).toString('hex')}`);
+    await fs.promises.writeFile(tempPath, '');
+
+    const session = await VideoUploadSession.create({
+      userId: req.user.id,
+      fileName: String(fileName).slice(0, 200),
+      mimeType: String(mimeType),
+      size,
+      chunkSize: VIDEO_CHUNK_BYTES,
+      totalParts: Math.ceil(size / VIDEO_CHUNK_BYTES),
+      tempPath,
+      details: values,
+      expiresAt: new Date(Date.now() + VIDEO_UPLOAD_TTL_MS)
+    });
+
+    res.status(201).json(toPublicUploadSession(session));
+  } catch (err) {
+    req.log.error('failed to start video upload', { err });
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// Used to resume: lists the parts the server already has.
+app.get('/api/videos/uploads/:id', requireVideoManager, loadUploadSession, (req, res) => {
+  res.json(toPublicUploadSession(req.uploadSession));
+});
+
+// Raw bytes (Content-Type: application/octet-stream) for part :index, zero-based.
+app.put('/api/videos/uploads/:id/parts/:index', requireVideoManager, loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+  const index = Number(req.params.index);
+
+  if (session.status !== 'open') {
+    return res.status(409).json({ error: `Upload is ${session.status}` });
+  }
+
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalParts) {
+    return res.status(400).json({ error: `index must be between 0 and ${session.totalParts - 1}` });
+  }
+
+  const expected = Math.min(session.chunkSize, session.size - index * session.chunkSize);
+  const declared = req.get('Content-Length');
+  if (declared !== undefined && Number(declared) !== expected) {
+    return res.status(400).json({ error: `Part ${index} must be exactly ${expected} bytes` });
+  }
+
+  const token = crypto.randomBytes(8).toString('hex');
+  let leased = null;
+
+  try {
+    // Taken atomically with the status check, so a part is never written into a file that
+    // /complete has already started reading.
+    leased = await VideoUploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'open' },
+      { $push: { partWrites: { token, until: new Date(Date.now() + VIDEO_PART_LEASE_MS) } } }
+    );
+    if (!leased) return res.status(409).json({ error: 'Upload is no longer open' });
+
+    const { received } = await writeUploadPart(req, session, index);
+    if (received !== expected) {
+      return res.status(400).json({ error: `Part ${index} was incomplete (${received} of ${expected} bytes); send it again` });
+    }
+
+    const updated = await VideoUploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'open' },
+      { $addToSet: { receivedParts: index }, $set: { expiresAt: new Date(Date.now() + VIDEO_UPLOAD_TTL_MS) } },
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Upload is no longer open' });
+
+    res.json({ index, receivedParts: updated.receivedParts.length, totalParts: updated.totalParts });
+  } catch (err) {
+    if (err.code === 'PART_TOO_LARGE') {
+      return res.status(400).json({ error: err.message });
+    }
+    req.log.error('failed to store upload part', { err });
+    res.status(500).json({ error: 'Failed to store part; send it again' });
+  } finally {
+    if (leased) {
+      await VideoUploadSession.updateOne({ _id: session._id }, { $pull: { partWrites: { token } } }).catch((err) => {
+        req.log.warn('failed to release upload part lease', { err, sessionId: session._id });
+      });
+    }
+  }
+});
+
+// Optional multipart "poster" image (a frame captured by the browser) is used when storage cannot derive one.
+app.post('/api/videos/uploads/:id/complete', requireVideoManager, loadUploadSession, acceptPosterUpload, async (req, res) => {
+  let session = null;
+
+  try {
+    session = await VideoUploadSession.findOneAndUpdate(
+      { _id: req.uploadSession._id, status: 'open', partWrites: { $not: { $elemMatch: { until: { $gt: new Date() } } } } },
+      { $set: { status: 'completing' } },
+      { new: true }
+    );
+
+    if (!session) {
+      const error = req.uploadSession.status === 'open'
+        ? 'A part is still being uploaded; complete again once it finishes'
+        : `Upload is ${req.uploadSession.status}`;
+      return res.status(409).json({ error });
+    }
+
+    const missing = [];
+    for (let index = 0; index < session.totalParts; index += 1) {
+      if (!session.receivedParts.includes(index)) missing.push(index);
+    }
+    if (missing.length) {
+      await VideoUploadSession.updateOne({ _id: session._id }, { $set: { status: 'open' } });
+      return res.status(400).json({ error: 'Some parts are missing', missingParts: missing });
+    }
+
+    const result = await storeVideoFile(session.tempPath, {
+      fileName: session.fileName,
+      mimeType: session.mimeType,
+      details: session.details,
+      posterBuffer: req.file?.buffer
+    });
+
+    if (result.error) {
+      session.status = 'aborted';
+      await session.save();
+      await removeTempFile(session.tempPath);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    session.status = 'completed';
+    session.video = result.video._id;
+    await session.save();
+    await removeTempFile(session.tempPath);
+    res.status(201).json(result.video);
+  } catch (err) {
+    req.log.error('failed to complete video upload', { err });
+    // Leave the parts in place so the client can retry completing.
+    if (session) {
+      await VideoUploadSession.updateOne({ _id: session._id }, { $set: { status: 'open' } }).catch(() => {});
+    }
+    res.status(500).json({ error: 'Failed to finish upload; try completing it again' });
+  }
+});
+
+app.delete('/api/videos/uploads/:id', requireVideoManager, loadUploadSession, async (req, res) => {
+  const session = req.uploadSession;
+
+  if (session.status === 'completing' || session.status === 'completed') {
+    return res.status(409).json({ error: `Upload is ${session.status}` });
+  }
+
+  try {
+    session.status = 'aborted';
+    await session.save();
+    await removeTempFile(session.tempPath);
+    res.json({ success: true, id: session._id });
+  } catch (err) {
+    req.log.error('failed to abort video upload', { err });
+    res.status(500).json({ error: 'Failed to abort upload' });
+  }
+});
+
+app.post('/api/videos', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const { url, fileName = '', mimeType = '' } = req.body || {};
+
+  if (!url) {
+    return res.status(400).json({ error: 'Missing video URL' });
+  }
+  if (typeof url !== 'string' || !mediaStorage.ownsUrl(url)) {
+    return res.status(400).json({ error: `Video URL must point to the configured media storage (${mediaStorage.driver})` });
+  }
+
+  const { values, errors } = parseVideoInput(req.body);
+  const branchError = videoBranchError(req.user, values.branch || '');
+  if (branchError) errors.push(branchError);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid video details', details: errors });
+  }
+
+  try {
+    // The storage id is derived from the URL so a record can never point deletes at another file.
+    const video = await VideoReview.create({
+      url,
+      fileName: String(fileName).slice(0, 255),
+      mimeType: String(mimeType).slice(0, 100),
+      publicId: mediaStorage.publicIdFromUrl(url),
+      ...values
+    });
+    await clearVideoCache();
+    emitWebhookEvent('video.uploaded', toWebhookVideo(video));
+    res.status(201).json(video);
+  } catch (err) {
+    req.log.error('failed to save video', { err });
+    res.status(500).json({ error: 'Failed to save video' });
+  }
+});
+
+// Public visitors get published videos only; staff can pass ?include=drafts to moderate.
+// Public lists with known filters are cached and answer conditional GETs; drafts never are.
+app.get('/api/videos', optionalAuth, async (req, res) => {
+  const { branch, program } = req.query;
+  const isModerator = req.user && ['owner', 'branch-manager'].includes(req.user.role);
+  const includeDrafts = isModerator && req.query.include === 'drafts';
+
+  try {
+    const filter = {};
+    if (!includeDrafts) filter.status = 'published';
+    if (branch) filter.branch = String(branch);
+    if (program) filter.program = String(program);
+    if (req.query.featured === 'true') filter.featured = true;
+
+    const findVideos = () => VideoReview.find(filter).sort({ featured: -1, sortOrder: 1, uploadedAt: -1 });
+    const cacheable = !includeDrafts &&
+      (!branch || BRANCHES.includes(filter.branch)) &&
+      (!program || CLASS_TYPES.includes(filter.program));
+
+    if (!cacheable) {
+      res.set('Cache-Control', 'private, no-store');
+      return res.json(await findVideos());
+    }
+
+    const key = `videos:${filter.branch || ''}|${filter.program || ''}|${filter.featured ? 'featured' : ''}`;
+    const response = await cachedRead(key, async () => {
+      const [videos, changedAt] = await Promise.all([findVideos(), getChangedAt('videos')]);
+      const lastModified = latestDate(changedAt, ...videos.map((video) => latestDate(video.updatedAt, video.uploadedAt)));
+      return toCacheableResponse(videos, lastModified);
+    });
+    // The body is the same for staff and visitors, but a signed-in response must not sit in shared caches.
+    sendCacheable(req, res, response, { cacheControl: req.user ? 'private, no-cache' : 'public, no-cache' });
+  } catch (err) {
+    req.log.error('failed to load videos', { err });
+    res.status(500).json({ error: 'Failed to load videos' });
+  }
+});
+
+app.patch('/api/videos/:id', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid video id' });
+  }
+
+  const { values, errors } = parseVideoInput(req.body);
+  if (!Object.keys(values).length) {
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${VIDEO_FIELDS.join(', ')}` });
+  }
+  if (values.branch !== undefined) {
+    const branchError = videoBranchError(req.user, values.branch);
+    if (branchError) errors.push(branchError);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid video details', details: errors });
+  }
+
+  try {
+    const video = await VideoReview.findById(id);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canAccessBranch(req.user, video.branch || '')) {
+      const error = video.branch ? 'You can only edit videos for your assigned branch' : 'Only owners can edit videos shown on every branch';
+      return res.status(403).json({ error });
+    }
+
+    Object.assign(video, values, { updatedAt: new Date() });
+    await video.save();
+    await clearVideoCache();
+    res.json(video);
+  } catch (err) {
+    req.log.error('failed to update video', { err });
+    res.status(500).json({ error: 'Failed to update video' });
+  }
+});
+
+// Body: { ids: [...] } in display order; each video's sortOrder becomes its position.
+app.post('/api/videos/reorder', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+
+  if (!ids || !ids.length || !ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of video ids' });
+  }
+
+  if (new Set(ids).size !== ids.length) {
+    return res.status(400).json({ error: 'ids must not contain duplicates' });
+  }
+
+  try {
+    const found = await VideoReview.find({ _id: { $in: ids } }, { branch: 1 }).lean();
+    if (found.length !== ids.length) {
+      return res.status(404).json({ error: 'One or more videos were not found' });
+    }
+    // Untagged videos show on every branch, so only owners may move them.
+    if (found.some((video) => !canAccessBranch(req.user, video.branch || ''))) {
+      return res.status(403).json({ error: 'You can only reorder videos for your assigned branch' });
+    }
+
+    const now = new Date();
+    await VideoReview.bulkWrite(ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { sortOrder: index, updatedAt: now } } }
+    })));
+    await clearVideoCache();
+
+    const videos = await VideoReview.find({ _id: { $in: ids } }).sort({ sortOrder: 1 });
+    res.json(videos);
+  } catch (err) {
+    req.log.error('failed to reorder videos', { err });
+    res.status(500).json({ error: 'Failed to reorder videos' });
+  }
+});
+
+app.delete('/api/videos/:id', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const { id } = req.params;
+  const forceDbOnly = String(req.query.forceDbOnly || '').toLowerCase() === 'true';
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid video id' });
+  }
+
+  try {
+    const video = await VideoReview.findById(id);
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (!canAccessBranch(req.user, video.branch || '')) {
+      const error = video.branch ? 'You can only delete videos for your assigned branch' : 'Only owners can delete videos shown on every branch';
+      return res.status(403).json({ error });
+    }
+
+    if (!mediaStorage.ownsUrl(video.url)) {
+      if (forceDbOnly) {
+        await VideoReview.findByIdAndDelete(id);
+        await clearVideoCache();
+        emitWebhookEvent('video.deleted', toWebhookVideo(video));
+        return res.json({
+          success: true,
+          id,
+          forceDbOnly: true,
+          warning: 'Database record removed. The file remains wherever it was originally stored.'
+        });
+      }
+
+      return res.status(409).json({
+        error: `Video is not stored in the configured media storage (${mediaStorage.driver})`,
+        storage: mediaStorage.driver,
+        configuredCloudName: mediaStorage.driver === 'cloudinary' ? CLOUDINARY_CLOUD_NAME : undefined,
+        canForceDbOnly: true,
+        hint: 'Use forceDbOnly=true to remove the website record only when the file belongs to a legacy account or storage'
+      });
+    }
+
+    const storedPublicId = (video.publicId || '').trim();
+    const urlDerivedPublicId = mediaStorage.publicIdFromUrl(video.url);
+    const storageCandidates = [storedPublicId, urlDerivedPublicId].filter((value, idx, arr) => value && arr.indexOf(value) === idx);
+
+    if (storageCandidates.length) {
+      let deletedFromStorage = false;
+      let lastStorageError = '';
+
+      for (const candidate of storageCandidates) {
+        try {
+          const result = await mediaStorage.destroy(candidate, { resourceType: 'video' });
+          deletedFromStorage = true;
+          if (result === 'not found') {
+            req.log.warn('video file already missing from storage', { publicId: candidate });
+          }
+          break;
+        } catch (storageErr) {
+          lastStorageError = storageErr?.message || 'Unknown storage delete failure';
+        }
+      }
+
+      if (!deletedFromStorage) {
+        req.log.error('failed to delete video from storage', { publicIds: storageCandidates, error: lastStorageError });
+        const errorText = String(lastStorageError || '');
+        const isAuthMismatch = /api_secret mismatch|invalid signature/i.test(errorText);
+
+        if (isAuthMismatch) {
+          return res.status(401).json({
+            error: 'Cloudinary credentials are invalid for delete operation',
+            details: errorText,
+            configuredCloudName: CLOUDINARY_CLOUD_NAME,
+            hint: 'Verify CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET from the same Cloudinary account'
+          });
+        }
+
+        return res.status(502).json({
+          error: 'Failed to delete video file from storage',
+          details: errorText
+        });
+      }
+    }
+
+    if (video.posterPublicId) {
+      await mediaStorage.destroy(video.posterPublicId, { resourceType: 'image' }).catch((err) => {
+        req.log.warn('failed to delete video poster', { err, publicId: video.posterPublicId });
+      });
+    }
+
+    await VideoReview.findByIdAndDelete(id);
+    await clearVideoCache();
+    emitWebhookEvent('video.deleted', toWebhookVideo(video));
+    res.json({ success: true, id });
+  } catch (err) {
+    req.log.error('failed to delete video', { err });
+    res.status(500).json({ error: 'Failed to delete video' });
+  }
+});
+
+// ✅ Email templates (owner only)
+function toTemplateSummary(key, custom) {
+  const defaults = DEFAULT_TEMPLATES[key];
+  return {
+    key,
+    description: defaults.description,
+    placeholders: defaults.placeholders,
+    subject: custom?.subject || defaults.subject,
+    html: custom?.html || defaults.html,
+    text: custom?.text || defaults.text,
+    isCustom: !!custom,
+    updatedBy: custom?.updatedBy || '',
+    updatedAt: custom?.updatedAt || null
+  };
+}
+
+app.get('/api/email-templates', requireOwner, async (req, res) => {
+  try {
+    const customs = await EmailTemplate.find().lean();
+    const customByKey = new Map(customs.map((entry) => [entry.key, entry]));
+    res.json(Object.keys(DEFAULT_TEMPLATES).map((key) => toTemplateSummary(key, customByKey.get(key))));
+  } catch (err) {
+    req.log.error('failed to load email templates', { err });
+    res.status(500).json({ error: 'Failed to load email templates' });
+  }
+});
+
+app.put('/api/email-templates/:key', requireOwner, async (req, res) => {
+  const { key } = req.params;
+  const { subject = '', html = '', text = '' } = req.body || {};
+
+  if (!DEFAULT_TEMPLATES[key]) {
+    return res.status(404).json({ error: 'Email template not found' });
+  }
+
+  if (!subject && !html && !text) {
+    return res.status(400).json({ error: 'Nothing to save' });
+  }
+
+  try {
+    const custom = await EmailTemplate.findOneAndUpdate(
+      { key },
+      { key, subject: String(subject), html: String(html), text: String(text), updatedBy: req.user.username, updatedAt: new Date() },
+      { upsert: true, new: true }
+    ).lean();
+    res.json(toTemplateSummary(key, custom));
+  } catch (err) {
+    req.log.error('failed to save email template', { err });
+    res.status(500).json({ error: 'Failed to save email template' });
+  }
+});
+
+// Reverts to the built-in template.
+app.delete('/api/email-templates/:key', requireOwner, async (req, res) => {
+  const { key } = req.params;
+
+  if (!DEFAULT_TEMPLATES[key]) {
+    return res.status(404).json({ error: 'Email template not found' });
+  }
+
+  try {
+    await EmailTemplate.deleteOne({ key });
+    res.json(toTemplateSummary(key, null));
+  } catch (err) {
+    req.log.error('failed to reset email template', { err });
+    res.status(500).json({ error: 'Failed to reset email template' });
+  }
+});
+
+// Renders the saved template (or an unsaved draft in the body) with sample or supplied data.
+app.post('/api/email-templates/:key/preview', requireOwner, async (req, res) => {
+  const { key } = req.params;
+  const { subject, html, text, data } = req.body || {};
+
+  if (!DEFAULT_TEMPLATES[key]) {
+    return res.status(404).json({ error: 'Email template not found' });
+  }
+
+  try {
+    const saved = await getEmailTemplate(key);
+    const draft = {
+      subject: subject || saved.subject,
+      html: html || saved.html,
+      text: text || saved.text
+    };
+    const sample = { ...SAMPLE_DATA[key] };
+    if (key === 'inquiry-acknowledgement') sample.branchDetails = await describeBranchDetails();
+
+    res.json(renderTemplate(draft, { ...sample, ...(data || {}) }));
+  } catch (err) {
+    req.log.error('failed to preview email template', { err });
+    res.status(500).json({ error: 'Failed to preview email template' });
+  }
+});
+
+// ✅ Email outbox (owner only)
+app.get('/api/email-outbox', requireOwner, async (req, res) => {
+  const { status, kind, to } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (status && !OUTBOUND_EMAIL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${OUTBOUND_EMAIL_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const filter = {};
+    if (status) filter.status = status;
+    if (kind) filter.kind = String(kind);
+    if (to) filter.to = new RegExp(escapeRegExp(to), 'i');
+
+    const [emails, total] = await Promise.all([
+      OutboundEmail.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      OutboundEmail.countDocuments(filter)
+    ]);
+
+    res.json({
+      emails: emails.map(toOutboxSummary),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    req.log.error('failed to load email outbox', { err });
+    res.status(500).json({ error: 'Failed to load email outbox' });
+  }
+});
+
+app.get('/api/email-outbox/:id', requireOwner, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid email id' });
+  }
+
+  try {
+    const email = await OutboundEmail.findById(req.params.id).lean();
+    if (!email) return res.status(404).json({ error: 'Email not found' });
+    res.json(email);
+  } catch (err) {
+    req.log.error('failed to load outbox email', { err });
+    res.status(500).json({ error: 'Failed to load email' });
+  }
+});
+
+app.post('/api/email-outbox/:id/resend', requireOwner, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid email id' });
+  }
+
+  if (!mailTransporter) {
+    return res.status(503).json({ error: 'Email is not configured' });
+  }
+
+  try {
+    const email = await OutboundEmail.findById(req.params.id);
+    if (!email) return res.status(404).json({ error: 'Email not found' });
+    if (email.status !== 'failed') {
+      return res.status(409).json({ error: `Only failed emails can be resent (this one is ${email.status})` });
+    }
+
+    requeueEmail(email);
+    await email.save();
+    setImmediate(processOutbox);
+    res.json(toOutboxSummary(email));
+  } catch (err) {
+    req.log.error('failed to resend email', { err });
+    res.status(500).json({ error: 'Failed to resend email' });
+  }
+});
+
+app.post('/api/email-outbox/resend-failed', requireOwner, async (req, res) => {
+  if (!mailTransporter) {
+    return res.status(503).json({ error: 'Email is not configured' });
+  }
+
+  try {
+    const result = await OutboundEmail.updateMany(
+      { status: 'failed' },
+      { $set: { status: 'queued', attemptCount: 0, nextAttemptAt: new Date(), lockedAt: null, lastError: '' } }
+    );
+    setImmediate(processOutbox);
+    res.json({ requeued: result.modifiedCount });
+  } catch (err) {
+    req.log.error('failed to resend failed emails', { err });
+    res.status(500).json({ error: 'Failed to resend emails' });
+  }
+});
+
+// ✅ Webhooks (owner only)
+app.get('/api/webhooks', requireOwner, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 }).lean();
+    res.json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (err) {
+    req.log.error('failed to load webhooks', { err });
+    res.status(500).json({ error: 'Failed to load webhooks' });
+  }
+});
+
+// The secret is only ever returned here and when rotated; store it on the receiving side.
+app.post('/api/webhooks', requireOwner, async (req, res) => {
+  const { values, errors } = parseWebhookInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid webhook', details: errors });
+  }
+
+  try {
+    const webhook = await Webhook.create({ ...values, secret: createWebhookSecret(), createdBy: req.user.username });
+    res.status(201).json(webhook.toObject());
+  } catch (err) {
+    req.log.error('failed to create webhook', { err });
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Body: any of url, description, events, active, plus rotateSecret: true for a new secret.
+app.patch('/api/webhooks/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+
+  const rotateSecret = req.body?.rotateSecret === true;
+  const { values, errors } = parseWebhookInput(req.body, { partial: true });
+  if (!Object.keys(values).length && !rotateSecret) {
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${WEBHOOK_FIELDS.join(', ')}, rotateSecret` });
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid webhook', details: errors });
+  }
+
+  try {
+    const update = { ...values };
+    if (rotateSecret) update.secret = createWebhookSecret();
+
+    const query = Webhook.findByIdAndUpdate(id, update, { new: true });
+    if (rotateSecret) query.select('+secret');
+    const webhook = await query;
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhook.toObject());
+  } catch (err) {
+    req.log.error('failed to update webhook', { err });
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Removes the subscription together with its delivery log and anything still queued.
+app.delete('/api/webhooks/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+
+  try {
+    const webhook = await Webhook.findByIdAndDelete(id);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    res.json({ success: true, id });
+  } catch (err) {
+    req.log.error('failed to delete webhook', { err });
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Sends a signed "webhook.test" event right away (even to a disabled webhook) and reports how
+// the receiver answered. Test events are tried once and never retried.
+app.post('/api/webhooks/:id/test', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+
+  try {
+    const webhook = await Webhook.findById(id).lean();
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    const eventId = crypto.randomUUID();
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: WEBHOOK_TEST_EVENT,
+      eventId,
+      payload: JSON.parse(JSON.stringify({
+        id: eventId,
+        event: WEBHOOK_TEST_EVENT,
+        createdAt: new Date(),
+        data: { message: 'Test event from Zumba With Pooh', sentBy: req.user.username }
+      })),
+      status: 'sending',
+      lockedAt: new Date(),
+      maxAttempts: 1
+    });
+
+    await deliverWebhook(delivery);
+    res.json(delivery.toObject());
+  } catch (err) {
+    req.log.error('failed to send test webhook', { err });
+    res.status(500).json({ error: 'Failed to send test webhook' });
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries', requireOwner, async (req, res) => {
+  const { id } = req.params;
+  const { status, event } = req.query;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid webhook id' });
+  }
+  if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const filter = { webhook: id };
+    if (status) filter.status = status;
+    if (event) filter.event = String(event);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      deliveries: deliveries.map(toWebhookDeliverySummary),
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    req.log.error('failed to load webhook deliveries', { err });
+    res.status(500).json({ error: 'Failed to load webhook deliveries' });
+  }
+});
+
+// One delivery with its payload and every attempt (status code, response excerpt, error).
+app.get('/api/webhooks/:id/deliveries/:deliveryId', requireOwner, async (req, res) => {
+  const { id, deliveryId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(deliveryId)) {
+    return res.status(400).json({ error: 'Invalid delivery id' });
+  }
+
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, webhook: id }).lean();
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+  } catch (err) {
+    req.log.error('failed to load webhook delivery', { err });
+    res.status(500).json({ error: 'Failed to load webhook delivery' });
+  }
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', requireOwner, async (req, res) => {
+  const { id, deliveryId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(deliveryId)) {
+    return res.status(400).json({ error: 'Invalid delivery id' });
+  }
+
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, webhook: id });
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    if (delivery.status !== 'failed') {
+      return res.status(409).json({ error: `Only failed deliveries can be redelivered (this one is ${delivery.status})` });
+    }
+
+    Object.assign(delivery, {
+      status: 'queued',
+      attemptCount: 0,
+      maxAttempts: delivery.event === WEBHOOK_TEST_EVENT ? 1 : WEBHOOK_MAX_ATTEMPTS,
+      nextAttemptAt: new Date(),
+      lockedAt: null,
+      lastError: ''
+    });
+    await delivery.save();
+    setImmediate(processWebhookQueue);
+    res.json(toWebhookDeliverySummary(delivery));
+  } catch (err) {
+    req.log.error('failed to redeliver webhook', { err });
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// ✅ Class schedule (services.html)
+app.get('/api/schedule', async (req, res) => {
+  const { branch } = req.query;
+
+  if (branch && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  try {
+    const filter = { active: true };
+    if (branch) filter.branch = branch;
+
+    const sessions = await ClassSession.find(filter).lean();
+    const branches = (branch ? [branch] : BRANCHES).map((key) => ({
+      branch: key,
+      days: buildWeekGrid(sessions.filter((session) => session.branch === key))
+    }));
+
+    res.json({ branches });
+  } catch (err) {
+    req.log.error('failed to load schedule', { err });
+    res.status(500).json({ error: 'Failed to load schedule' });
+  }
+});
+
+app.get('/api/schedule/sessions', requireAuth, async (req, res) => {
+  const { branch } = req.query;
+
+  if (branch && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  try {
+    const filter = {};
+    if (branch) filter.branch = branch;
+
+    const sessions = await ClassSession.find(filter).sort({ branch: 1, weekday: 1, startTime: 1 }).lean();
+    res.json(sessions);
+  } catch (err) {
+    req.log.error('failed to load class sessions', { err });
+    res.status(500).json({ error: 'Failed to load class sessions' });
+  }
+});
+
+app.post('/api/schedule/sessions', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const { values, errors } = parseClassSessionInput(req.body);
+
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid class session', details: errors });
+  }
+
+  if (!canAccessBranch(req.user, values.branch)) {
+    return res.status(403).json({ error: 'You can only edit your assigned branch' });
+  }
+
+  try {
+    const session = await ClassSession.create(values);
+    res.status(201).json(session);
+  } catch (err) {
+    req.log.error('failed to create class session', { err });
+    res.status(500).json({ error: 'Failed to create class session' });
+  }
+});
+
+app.patch('/api/schedule/sessions/:id', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid class session id' });
+  }
+
+  const { values, errors } = parseClassSessionInput(req.body, { partial: true });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid class session', details: errors });
+  }
+
+  try {
+    const session = await ClassSession.findById(id);
+    if (!session) {
+      return res.status(404).json({ error: 'Class session not found' });
+    }
+
+    // Moving a session between branches needs access to both.
+    if (!canAccessBranch(req.user, session.branch) || (values.branch && !canAccessBranch(req.user, values.branch))) {
+      return res.status(403).json({ error: 'You can only edit your assigned branch' });
+    }
+
+    const capacityChanged = values.capacity !== undefined && values.capacity !== session.capacity;
+    Object.assign(session, values, { updatedAt: new Date() });
+    await session.save();
+
+    // Promote (or demote) upcoming bookings to match the new capacity.
+    if (capacityChanged) {
+      const dates = await Booking.distinct('date', { session: session._id, date: { $gte: getStudioToday() } });
+      for (const date of dates) {
+        await rebalanceBookings(session, date);
+      }
+    }
+
+    res.json(session);
+  } catch (err) {
+    req.log.error('failed to update class session', { err });
+    res.status(500).json({ error: 'Failed to update class session' });
+  }
+});
+
+app.delete('/api/schedule/sessions/:id', requireAuth, requireRole('owner', 'branch-manager'), async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid class session id' });
+  }
+
+  try {
+    const session = await ClassSession.findById(id);
+    if (!session) {
+      return res.status(404).json({ error: 'Class session not found' });
+    }
+
+    if (!canAccessBranch(req.user, session.branch)) {
+      return res.status(403).json({ error: 'You can only edit your assigned branch' });
+    }
+
+    const hasUpcomingBookings = await Booking.exists({
+      session: session._id,
+      date: { $gte: getStudioToday() },
+      status: { $in: ['confirmed', 'waitlisted'] }
+    });
+    if (hasUpcomingBookings) {
+      return res.status(409).json({
+        error: 'This class has upcoming bookings',
+        hint: 'Set active=false to stop new bookings, or cancel the bookings first'
+      });
+    }
+
+    await ClassSession.deleteOne({ _id: id });
+    res.json({ success: true, id });
+  } catch (err) {
+    req.log.error('failed to delete class session', { err });
+    res.status(500).json({ error: 'Failed to delete class session' });
+  }
+});
+
+// ✅ Membership plans (services.html)
+app.get('/api/plans', optionalAuth, async (req, res) => {
+  const { branch } = req.query;
+  const includeInactive = String(req.query.includeInactive || '').toLowerCase() === 'true';
+
+  if (branch && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  if (includeInactive && req.user?.role !== 'owner') {
+    return res.status(403).json({ error: 'You do not have permission for this action' });
+  }
+
+  try {
+    const plans = await Plan.find(includeInactive ? {} : { active: true }).sort({ sortOrder: 1, createdAt: 1 }).lean();
+
+    // Owners editing plans get the raw documents (overrides, promo settings).
+    if (includeInactive) {
+      return res.json(plans);
+    }
+
+    // Promo discounts only apply while their offer is live for this branch.
+    const offers = (await findActiveOffers(branch || '')).filter((offer) => !offer.branch || offer.branch === branch);
+    const offersById = new Map(offers.map((offer) => [String(offer._id), offer]));
+
+    res.json(plans.map((plan) => toPublicPlan(plan, { branch, offersById })));
+  } catch (err) {
+    req.log.error('failed to load plans', { err });
+    res.status(500).json({ error: 'Failed to load plans' });
+  }
+});
+
+app.post('/api/plans', requireOwner, async (req, res) => {
+  const { values, errors } = parsePlanInput(req.body);
+
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid plan', details: errors });
+  }
+
+  try {
+    const referenceErrors = await checkPlanReferences(values);
+    if (referenceErrors.length) {
+      return res.status(400).json({ error: 'Invalid plan', details: referenceErrors });
+    }
+
+    const plan = await Plan.create(values);
+    res.status(201).json(plan);
+  } catch (err) {
+    req.log.error('failed to create plan', { err });
+    res.status(500).json({ error: 'Failed to create plan' });
+  }
+});
+
+app.patch('/api/plans/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid plan id' });
+  }
+
+  const { values, errors } = parsePlanInput(req.body, { partial: true });
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid plan', details: errors });
+  }
+
+  try {
+    const current = await Plan.findById(id).lean();
+    if (!current) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    const referenceErrors = await checkPlanReferences(values, current);
+    if (referenceErrors.length) {
+      return res.status(400).json({ error: 'Invalid plan', details: referenceErrors });
+    }
+
+    const plan = await Plan.findByIdAndUpdate(id, { ...values, updatedAt: new Date() }, { new: true, runValidators: true });
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (err) {
+    req.log.error('failed to update plan', { err });
+    res.status(500).json({ error: 'Failed to update plan' });
+  }
+});
+
+app.delete('/api/plans/:id', requireOwner, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid plan id' });
+  }
+
+  try {
+    const plan = await Plan.findByIdAndDelete(id);
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+    res.json({ success: true, id });
+  } catch (err) {
+    req.log.error('failed to delete plan', { err });
+    res.status(500).json({ error: 'Failed to delete plan' });
+  }
+});
+
+// ✅ Members
+const requireMemberManager = [requireAuth, requireRole('owner', 'branch-manager')];
+
+// Loads :id into req.member and checks branch access; shared by the member lifecycle routes.
+async function loadMember(req, res, next) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid member id' });
+  }
+
+  try {
+    const member = await Member.findById(id);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!canAccessBranch(req.user, member.branch)) {
+      return res.status(403).json({ error: 'You can only manage your assigned branch' });
+    }
+    req.member = member;
+    next();
+  } catch (err) {
+    req.log.error('failed to load member', { err });
+    res.status(500).json({ error: 'Failed to load member' });
+  }
+}
+
+app.get('/api/members', requireAuth, async (req, res) => {
+  const { branch, status, search } = req.query;
+  const now = new Date();
+
+  if (branch && !BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Invalid branch' });
+  }
+
+  try {
+    const filter = {};
+    if (req.user.role !== 'owner') filter.branch = req.user.branch;
+    else if (branch) filter.branch = branch;
+
+    if (status === 'expired') {
+      filter.status = 'active';
+      filter.expiryDate = { $lt: now };
+    } else if (status === 'active') {
+      filter.status = 'active';
+      filter.expiryDate = { $gte: now };
+    } else if (status) {
+      filter.status = String(status);
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      filter.$or = [{ name: pattern }, { phone: pattern }, { email: pattern }];
+    }
+
+    const members = await Member.find(filter).sort({ name: 1 }).lean();
+    res.json(members.map(toPublicMember));
+  } catch (err) {
+    req.log.error('failed to load members', { err });
+    res.status(500).json({ error: 'Failed to load members' });
+  }
+});
+
+// Active memberships expiring in the next N days (default 7), soonest first.
+app.get('/api/members/expiring', requireAuth, async (req, res) => {
+  const days = Number(req.query.days || 7);
+
+  if (!Number.isFinite(days) || days < 0) {
+    return res.status(400).json({ error: 'days must be zero or more' });
+  }
+
+  try {
+    const now = new Date();
+    const filter = {
+      status: 'active',
+      expiryDate: { $gte: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+    };
+    if (req.user.role !== 'owner') filter.branch = req.user.branch;
+
+    const members = await Member.find(filter).sort({ expiryDate: 1 }).lean();
+    res.json(members.map(toPublicMember));
+  } catch (err) {
+    req.log.error('failed to load expiring members', { err });
+    res.status(500).json({ error: 'Failed to load expiring members' });
+  }
+});
+
+app.get('/api/members/:id', requireAuth, loadMember, (req, res) => {
+  res.json(toPublicMember(req.member));
+});
+
+app.post('/api/members', requireMemberManager, async (req, res) => {
+  try {
+    const { values, errors, months, amountPaid, note } = await parseEnrolmentInput(req.body);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid member', details: errors });
+    }
+
+    if (!canAccessBranch(req.user, values.branch)) {
+      return res.status(403).json({ error: 'You can only manage your assigned branch' });
+    }
+
+    const member = await Member.create({
+      ...values,
+      history: [{ type: 'enrolled', by: req.user.username, months, amountPaid, planName: values.planName, note }]
+    });
+    res.status(201).json(toPublicMember(member));
+  } catch (err) {
+    req.log.error('failed to enrol member', { err });
+    res.status(500).json({ error: 'Failed to enrol member' });
+  }
+});
+
+// Extends from the current expiry, or from today if the membership already lapsed.
+app.post('/api/members/:id/renew', requireMemberManager, loadMember, async (req, res) => {
+  const { member } = req;
+  const months = Number(req.body?.months);
+  const amountPaid = Number(req.body?.amountPaid || 0);
+  const { planId, note = '' } = req.body || {};
+
+  if (!Number.isInteger(months) || months < 1) {
+    return res.status(400).json({ error: 'months must be a positive whole number' });
+  }
+
+  if (member.status === 'frozen') {
+    return res.status(409).json({ error: 'Unfreeze the membership before renewing' });
+  }
+
+  try {
+    if (planId) {
+      const plan = mongoose.Types.ObjectId.isValid(planId) ? await Plan.findById(planId).lean() : null;
+      if (!plan) {
+        return res.status(400).json({ error: 'Plan not found' });
+      }
+      member.plan = plan._id;
+      member.planName = plan.name;
+    }
+
+    const now = new Date();
+    const renewFrom = member.status === 'active' && member.expiryDate > now ? member.expiryDate : now;
+    if (renewFrom === now) member.startDate = now;
+    member.expiryDate = addMonths(renewFrom, months);
+    member.status = 'active';
+    member.updatedAt = now;
+    member.history.push({ type: 'renewed', by: req.user.username, months, amountPaid, planName: member.planName, note });
+    await member.save();
+
+    res.json(toPublicMember(member));
+  } catch (err) {
+    req.log.error('failed to renew member', { err });
+    res.status(500).json({ error: 'Failed to renew member' });
+  }
+});
+
+app.post('/api/members/:id/freeze', requireMemberManager, loadMember, async (req, res) => {
+  const { member } = req;
+
+  if (getMemberStatus(member) !== 'active') {
+    return res.status(409).json({ error: 'Only active memberships can be frozen' });
+  }
+
+  try {
+    member.status = 'frozen';
+    member.frozenAt = new Date();
+    member.updatedAt = new Date();
+    member.history.push({ type: 'frozen', by: req.user.username, note: String(req.body?.note || '') });
+    await member.save();
+    res.json(toPublicMember(member));
+  } catch (err) {
+    req.log.error('failed to freeze member', { err });
+    res.status(500).json({ error: 'Failed to freeze member' });
+  }
+});
+
+// Pushes the expiry back by however long the membership was frozen.
+app.post('/api/members/:id/unfreeze', requireMemberManager, loadMember, async (req, res) => {
+  const { member } = req;
+
+  if (member.status !== 'frozen') {
+    return res.status(409).json({ error: 'Membership is not frozen' });
+  }
+
+  try {
+    const now = new Date();
+    const frozenMs = member.frozenAt ? now.getTime() - member.frozenAt.getTime() : 0;
+    member.expiryDate = new Date(member.expiryDate.getTime() + Math.max(frozenMs, 0));
+    member.status = 'active';
+    member.frozenAt = null;
+    member.updatedAt = now;
+    member.history.push({
+      type: 'unfrozen',
+      by: req.user.username,
+      note: `Frozen for ${Math.ceil(frozenMs / DAY_MS)} day(s)`
+    });
+    await member.save();
+    res.json(toPublicMember(member));
+  } catch (err) {
+    req.log.error('failed to unfreeze member', { err });
+    res.status(500).json({ error: 'Failed to unfreeze member' });
+  }
+});
+
+app.post('/api/members/:id/cancel', requireMemberManager, loadMember, async (req, res) => {
+  const { member } = req;
+
+  if (member.status === 'cancelled') {
+    return res.status(409).json({ error: 'Membership is already cancelled' });
+  }
+
+  try {
+    member.status = 'cancelled';
+    member.frozenAt = null;
+    member.updatedAt = new Date();
+    member.history.push({ type: 'cancelled', by: req.user.username, note: String(req.body?.note || '') });
+    await member.save();
+    res.json(toPublicMember(member));
+  } catch (err) {
+    req.log.error('failed to cancel member', { err });
+    res.status(500).json({ error: 'Failed to cancel member' });
+  }
+});
+
+app.get('/api/members/:id/attendance', requireAuth, loadMember, async (req, res) => {
+  const { member } = req;
+
+  try {
+    const records = await Attendance.find({ member: member._id }).sort({ date: -1, startTime: -1 }).lean();
+    const sessions = await ClassSession.find({ branch: member.branch, active: true }).select('weekday').lean();
+
+    // Fall back to Monday–Friday until the branch timetable is entered.
+    const openWeekdays = new Set(sessions.length ? sessions.map((session) => session.weekday) : WEEKDAYS.slice(0, 5));
+    const today = getStudioToday();
+    const currentMonth = today.slice(0, 7);
+
+    const monthly = new Map();
+    records.forEach((record) => {
+      const month = record.date.slice(0, 7);
+      monthly.set(month, (monthly.get(month) || 0) + 1);
+    });
+
+    res.json({
+      memberId: member._id,
+      totalVisits: records.length,
+      visitsThisMonth: monthly.get(currentMonth) || 0,
+      currentStreak: computeAttendanceStreak(new Set(records.map((record) => record.date)), openWeekdays, today),
+      monthlyVisits: Array.from(monthly, ([month, visits]) => ({ month, visits })),
+      history: records
+    });
+  } catch (err) {
+    req.log.error('failed to load attendance', { err });
+    res.status(500).json({ error: 'Failed to load attendance' });
+  }
+});
+
+// ✅ Member progress (measurements behind the gallery cards)
+async function loadProgressEntry(req, res, next) {
+  const { entryId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(entryId)) {
+    return res.status(400).json({ error: 'Invalid progress entry id' });
+  }
+
+  try {
+    const entry = await ProgressEntry.findOne({ _id: entryId, member: req.member._id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Progress entry not found' });
+    }
+    req.progressEntry = entry;
+    next();
+  } catch (err) {
+    req.log.error('failed to load progress entry', { err });
+    res.status(500).json({ error: 'Failed to load progress entry' });
+  }
+}
+
+app.get('/api/members/:id/progress', requireAuth, loadMember, async (req, res) => {
+  try {
+    const entries = await ProgressEntry.find({ member: req.member._id }).sort({ date: 1 }).lean();
+    res.json({ memberId: req.member._id, ...describeProgress(entries) });
+  } catch (err) {
+    req.log.error('failed to load progress', { err });
+    res.status(500).json({ error: 'Failed to load progress' });
+  }
+});
+
+const PROGRESS_PHOTO_ERROR = 'photos must be uploaded for this member with POST /api/members/:id/progress/photos';
+
+// Photo for a progress entry: cropped to the gallery card size so it can become a before/after shot.
+// It is recorded as an Image and removed if no entry takes it within PROGRESS_PHOTO_TTL_MS.
+app.post('/api/members/:id/progress/photos', requireAuth, loadMember, acceptImageUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Missing image' });
+  }
+
+  try {
+    const processed = await processGalleryImage(req.file.buffer);
+    if (!processed) {
+      return res.status(415).json({ error: 'File is not a valid JPEG, PNG or WebP image' });
+    }
+
+    const result = await mediaStorage.upload(processed.data, {
+      folder: 'zumba-progress',
+      resourceType: 'image',
+      extension: '.jpg'
+    });
+
+    try {
+      await Image.create({
+        url: result.url,
+        publicId: result.publicId,
+        branch: req.member.branch,
+        slot: 'progress',
+        member: req.member._id,
+        expiresAt: new Date(Date.now() + PROGRESS_PHOTO_TTL_MS)
+      });
+    } catch (err) {
+      // Untracked, the file could never be attached or cleaned up.
+      await mediaStorage.destroy(result.publicId, { resourceType: 'image' }).catch(() => {});
+      throw err;
+    }
+
+    res.status(201).json({
+      url: result.url,
+      publicId: result.publicId,
+      width: processed.info.width,
+      height: processed.info.height,
+      bytes: processed.info.size
+    });
+  } catch (err) {
+    req.log.error('failed to upload progress photo', { err });
+    res.status(500).json({ error: 'Failed to upload progress photo' });
+  }
+});
+
+app.post('/api/members/:id/progress', requireAuth, loadMember, async (req, res) => {
+  const { member } = req;
+  const { values, errors } = parseProgressInput(req.body);
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid progress entry', details: errors });
+  }
+
+  try {
+    if ((await findForeignProgressPhotos(member, values.photos || [])).length) {
+      return res.status(400).json({ error: PROGRESS_PHOTO_ERROR });
+    }
+
+    const entry = await ProgressEntry.create({
+      ...values,
+      member: member._id,
+      branch: member.branch,
+      recordedBy: req.user.username
+    });
+    await markProgressPhotosAttached(member, entry.photos);
+    res.status(201).json(entry);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `There is already an entry for ${values.date}; edit that one instead` });
+    }
+    req.log.error('failed to save progress entry', { err });
+    res.status(500).json({ error: 'Failed to save progress entry' });
+  }
+});
+
+app.patch('/api/members/:id/progress/:entryId', requireAuth, loadMember, loadProgressEntry, async (req, res) => {
+  const entry = req.progressEntry;
+  const { values, errors } = parseProgressInput(req.body, { partial: true });
+  if (!Object.keys(values).length) {
+    return res.status(400).json({ error: `Nothing to update. Allowed fields: ${PROGRESS_FIELDS.join(', ')}` });
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid progress entry', details: errors });
+  }
+
+  try {
+    const previousPhotos = entry.photos.map((photo) => photo.url);
+    if (values.photos && (await findForeignProgressPhotos(req.member, values.photos, previousPhotos)).length) {
+      return res.status(400).json({ error: PROGRESS_PHOTO_ERROR });
+    }
+
+    Object.assign(entry, values, { updatedAt: new Date() });
+    await entry.save();
+    await markProgressPhotosAttached(req.member, entry.photos);
+
+    const keptPhotos = new Set(entry.photos.map((photo) => photo.url));
+    destroyUnreferencedImages(previousPhotos.filter((url) => !keptPhotos.has(url))).catch((err) => {
+      req.log.error('failed to remove replaced progress photo', { err });
+    });
+
+    res.json(entry);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: `There is already an entry for ${values.date}` });
+    }
+    req.log.error('failed to update progress entry', { err });
+    res.status(500).json({ error: 'Failed to update progress entry' });
+  }
+});
+
+// Photos go too, unless a gallery card (or one of its kept revisions) still shows them.
+app.delete('/api/members/:id/progress/:entryId', requireAuth, loadMember, loadProgressEntry, async (req, res) => {
+  const entry = req.progressEntry;
+
+  try {
+    await ProgressEntry.deleteOne({ _id: entry._id });
+    destroyUnreferencedImages(entry.photos.map((photo) => photo.url)).catch((err) => {
+      req.log.error('failed to remove progress photos', { err });
+    });
+    res.json({ success: true, id: entry._id });
+  } catch (err) {
+    req.log.error('failed to delete progress entry', { err });
+    res.status(500).json({ error: 'Failed to delete progress entry' });
+  }
+});
+
+/**
+ * Generates (or refreshes) the member's before/after card in their branch gallery.
+ * Body: { cardNum, name, details, version } — all optional once the member has a card;
+ * cardNum picks the slot the first time (or moves the card). Without `version` the write
+ * simply goes on top of the latest gallery.
+ */
+app.post('/api/members/:id/progress/card', requireMemberManager, loadMember, async (req, res) => {
+  const { member } = req;
+  const body = req.body || {};
+  const errors = [];
+
+  const expectedVersion = readExpectedVersion(req);
+  if (Number.isNaN(expectedVersion)) errors.push('version must be a non-negative integer');
+  const requestedNum = body.cardNum === undefined ? undefined : Number(body.cardNum);
+  if (requestedNum !== undefined && (!Number.isInteger(requestedNum) || requestedNum < 1)) {
+    errors.push('cardNum must be a positive whole number');
+  }
+  const name = body.name === undefined ? undefined : String(body.name ?? '').trim();
+  if (name && name.length > 100) errors.push('name must be at most 100 characters');
+  const details = body.details === undefined ? undefined : String(body.details ?? '').trim();
+  if (details && details.length > 1000) errors.push('details must be at most 1000 characters');
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid card request', details: errors });
+  }
+
+  try {
+    const entries = await ProgressEntry.find({ member: member._id }).sort({ date: 1 }).lean();
+    if (entries.length < 2) {
+      return res.status(400).json({ error: 'Record at least two progress entries before generating a card' });
+    }
+
+    const described = describeProgress(entries);
+    const meta = { action: 'progress', cardNum: requestedNum ?? null, by: req.user.username };
+    let card;
+    let replacedImages = [];
+
+    const result = await writeBranchCards(member.branch, expectedVersion, (cards) => {
+      const linked = cards.find((c) => String(c.member || '') === String(member._id));
+      const cardNum = requestedNum ?? linked?.cardNum;
+      if (!cardNum) {
+        return { error: 'cardNum is required the first time a card is generated for this member', status: 400 };
+      }
+
+      const previousCard = linked?.cardNum === cardNum ? linked : null;
+      if (!previousCard && getProgressPhotoEntries(entries).length < 2) {
+        return { error: 'Add a photo to at least two progress entries first (the earliest and latest are used)', status: 400 };
+      }
+
+      const target = cards.find((c) => c.cardNum === cardNum);
+      card = buildProgressCard(previousCard, member, described, { cardNum, name, details });
+      replacedImages = [target?.beforeImg, target?.afterImg].filter((url) => url && url !== card.beforeImg && url !== card.afterImg);
+      meta.cardNum = cardNum;
+
+      return {
+        cards: cards
+          .filter((c) => c.cardNum !== cardNum)
+          // A card moved to a new slot leaves its old one as plain text and photos.
+          .map((c) => (c === linked ? { ...c, member: null, progress: null } : c))
+          .concat(card)
+          .sort((a, b) => a.cardNum - b.cardNum)
+      };
+    }, meta);
+
+    if (result.conflict) return sendCardConflict(res, result.conflict);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    destroyUnreferencedImages(replacedImages).catch((err) => {
+      req.log.error('failed to remove replaced gallery image', { err });
+    });
+
+    res.json({
+      version: result.cardData.version,
+      card: result.cardData.cards.find((c) => c.cardNum === card.cardNum),
+      summary: described.summary
+    });
+  } catch (err) {
+    req.log.error('failed to generate progress card', { err });
+    res.status(500).json({ error: 'Failed to generate progress card' });
+  }
+});
+
+// Enrols the person behind an enquiry in one step and links the two records.
+app.post('/api/contact/inquiries/:id/convert', requireMemberManager, async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid inquiry id' });
+  }
+
+  try {
+    const inquiry = await ContactInquiry.findById(id);
+    if (!inquiry) {
+      return res.status(404).json({ error: 'Inquiry not found' });
+    }
+    if (inquiry.member) {
+      return res.status(409).json({ error: 'Inquiry has already been converted', memberId: inquiry.member });
+    }
+
+    const body = req.body || {};
+    const { values, errors, months, amountPaid, note } = await parseEnrolmentInput({
+      ...body,
+      name: body.name || inquiry.name,
+      email: body.email || inquiry.email,
+      phone: body.phone || inquiry.phone
+    });
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid member', details: errors });
+    }
+
+    // An enquiry without a branch preference is not any one manager's to take.
+    if (!canAccessBranch(req.user, inquiry.preferredBranch || '') || !canAccessBranch(req.user, values.branch)) {
+      return res.status(403).json({ error: 'You can only manage your assigned branch' });
+    }
+
+    // Claim the enquiry before creating the member, so two staff converting it at once
+    // cannot both enrol the same person.
+    const memberId = new mongoose.Types.ObjectId();
+    const claimed = await ContactInquiry.findOneAndUpdate(
+      { _id: inquiry._id, member: null },
+      { $set: { member: memberId, updatedAt: new Date() } }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'Inquiry has already been converted' });
+    }
+
+    let member;
+    try {
+      member = await Member.create({
+        _id: memberId,
+        ...values,
+        inquiry: inquiry._id,
+        history: [{ type: 'enrolled', by: req.user.username, months, amountPaid, planName: values.planName, note }]
+      });
+    } catch (err) {
+      await ContactInquiry.updateOne({ _id: inquiry._id, member: memberId }, { $set: { member: null } }).catch((releaseErr) => {
+        req.log.error('failed to release inquiry after a failed conversion', { err: releaseErr, inquiryId: inquiry._id });
+      });
+      throw err;
+    }
+
+    await ContactInquiry.updateOne({ _id: inquiry._id }, { $set: { status: 'joined', updatedAt: new Date() } });
+
+    res.status(201).json(toPublicMember(member));
+  } catch (err) {
+    req.log.error('failed to convert inquiry', { err });
+    res.status(500).json({ error: 'Failed to convert inquiry' });
+  }
+});
+
+// ✅ Attendance
+// Staff check a member into a class by member id or phone; date defaults to today (studio time).
+app.post('/api/attendance/check-in', requireAuth, async (req, res) => {
+  const { memberId, phone, sessionId } = req.body || {};
+  const date = req.body?.date || getStudioToday();
+
+  if ((!memberId && !phone) || !mongoose.Types.ObjectId.isValid(sessionId) || !isValidBookingDate(date)) {
+    return res.status(400).json({ error: 'Missing memberId or phone, sessionId, or a valid date' });
+  }
+
+  try {
+    const session = await ClassSession.findById(sessionId).lean();
+    if (!session || session.weekday !== weekdayOfDate(date)) {
+      return res.status(404).json({ error: 'Class session not found on that date' });
+    }
+
+    if (!canAccessBranch(req.user, session.branch)) {
+      return res.status(403).json({ error: 'You can only check in at your assigned branch' });
+    }
+
+    // Memberships are per branch, so only a member of this class's branch can check in.
+    let member = null;
+    if (memberId) {
+      member = mongoose.Types.ObjectId.isValid(memberId) ? await Member.findById(memberId) : null;
+      if (member && member.branch !== session.branch) {
+        return res.status(403).json({ error: 'Member belongs to another branch', memberId: member._id });
+      }
+    } else {
+      const phoneKey = toPhoneKey(phone);
+      if (phoneKey.length < 7) {
+        return res.status(400).json({ error: 'phone is not a valid number' });
+      }
+      member = await Member.findOne({ phoneKey, branch: session.branch }).sort({ expiryDate: -1 });
+    }
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    const memberStatus = getMemberStatus(member);
+    if (memberStatus !== 'active') {
+      return res.status(409).json({ error: `Membership is ${memberStatus}`, memberId: member._id });
+    }
+
+    const alreadyCheckedIn = async () => {
+      const existing = await Attendance.findOne({ member: member._id, session: session._id, date }).lean();
+      return existing && res.status(409).json({ error: 'Member is already checked in to this class', attendance: existing });
     };
-    writeCache(latestOfferCache, payload);
-    res.json(payload);
+    if (await alreadyCheckedIn()) return;
+
+    let attendance;
+    try {
+      attendance = await Attendance.create({
+        member: member._id,
+        session: session._id,
+        date,
+        branch: session.branch,
+        weekday: session.weekday,
+        startTime: session.startTime,
+        classType: session.classType,
+        checkedInBy: req.user.username
+      });
+    } catch (err) {
+      // A simultaneous check-in won the unique index; answer as if it had been seen above.
+      if (err?.code === 11000 && await alreadyCheckedIn()) return;
+      throw err;
+    }
+
+    res.status(201).json({ ...attendance.toObject(), memberName: member.name });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to load offer' });
+    req.log.error('failed to check in member', { err });
+    res.status(500).json({ error: 'Failed to check in member' });
   }
 });
 
-app.post('/api/offers/latest', async (req, res) => {
-  const { title = '', details = '', imageUrl = '' } = req.body || {};
-  if (!title && !details && !imageUrl) {
-    return res.status(400).json({ error: 'Nothing to save' });
+// Visits per weekday and time slot, to judge which classes are worth keeping.
+app.get('/api/attendance/report', requireAuth, async (req, res) => {
+  const branch = req.user.role === 'owner' ? req.query.branch : req.user.branch;
+  const to = req.query.to || getStudioToday();
+  const from = req.query.from || shiftDate(to, -27);
+
+  if (!BRANCHES.includes(branch)) {
+    return res.status(400).json({ error: 'Missing or invalid branch' });
+  }
+
+  if (!isValidBookingDate(from) || !isValidBookingDate(to) || from > to) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD with from <= to' });
   }
+
   try {
-    const offer = await Offer.findOneAndUpdate(
-      { key: 'latestOffer' },
-      { key: 'latestOffer', title, details, imageUrl, updatedAt: new Date() },
-      { upsert: true, new: true, setDefaultsOnInsert: true }
-    );
-    clearOfferCache();
+    const slots = await Attendance.aggregate([
+      { $match: { branch, date: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: { weekday: '$weekday', startTime: '$startTime', classType: '$classType' },
+          visits: { $sum: 1 },
+          dates: { $addToSet: '$date' },
+          members: { $addToSet: '$member' }
+        }
+      }
+    ]);
+
+    const bySlot = slots
+      .map((slot) => ({
+        weekday: slot._id.weekday,
+        startTime: slot._id.startTime,
+        classType: slot._id.classType,
+        visits: slot.visits,
+        classesHeld: slot.dates.length,
+        uniqueMembers: slot.members.length,
+        averageAttendance: Math.round((slot.visits / slot.dates.length) * 10) / 10
+      }))
+      .sort((a, b) => WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday) || a.startTime.localeCompare(b.startTime));
+
+    const byWeekday = WEEKDAYS.map((weekday) => {
+      const daySlots = bySlot.filter((slot) => slot.weekday === weekday);
+      return { weekday, visits: daySlots.reduce((sum, slot) => sum + slot.visits, 0) };
+    });
+
     res.json({
-      title: offer.title || '',
-      details: offer.details || '',
-      imageUrl: offer.imageUrl || '',
-      updatedAt: offer.updatedAt
+      branch,
+      from,
+      to,
+      totalVisits: bySlot.reduce((sum, slot) => sum + slot.visits, 0),
+      byWeekday,
+      bySlot
     });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to save offer' });
+    req.log.error('failed to build attendance report', { err });
+    res.status(500).json({ error: 'Failed to build attendance report' });
   }
 });
 
-app.delete('/api/offers/latest', async (req, res) => {
+// ✅ Class bookings
+app.get('/api/bookings/availability', async (req, res) => {
+  const { sessionId, date } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !isValidBookingDate(date)) {
+    return res.status(400).json({ error: 'Missing or invalid sessionId or date' });
+  }
+
   try {
-    await Offer.deleteOne({ key: 'latestOffer' });
-    clearOfferCache();
-    res.json({ success: true });
+    const session = await ClassSession.findOne({ _id: sessionId, active: true }).lean();
+    if (!session || session.weekday !== weekdayOfDate(date)) {
+      return res.status(404).json({ error: 'Class session not found on that date' });
+    }
+
+    const [confirmed, waitlisted] = await Promise.all([
+      Booking.countDocuments({ session: session._id, date, status: 'confirmed' }),
+      Booking.countDocuments({ session: session._id, date, status: 'waitlisted' })
+    ]);
+
+    res.json({
+      sessionId: session._id,
+      date,
+      capacity: session.capacity || 0,
+      confirmed,
+      waitlisted,
+      spotsLeft: session.capacity ? Math.max(session.capacity - confirmed, 0) : null
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Failed to delete offer' });
+    req.log.error('failed to load availability', { err });
+    res.status(500).json({ error: 'Failed to load availability' });
   }
 });
 
-// ✅ Contact inquiries
-app.post('/api/contact/inquiries', async (req, res) => {
-  const { name, email, phone = '', message } = req.body || {};
+app.post('/api/bookings', limitByIp(bookingIpLimiter), async (req, res) => {
+  const { sessionId, date, name = '', phone = '', email = '' } = req.body || {};
 
-  if (!name || !email || !message) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !isValidBookingDate(date) || !name || !phone) {
+    return res.status(400).json({ error: 'Missing sessionId, date, name or phone' });
+  }
+
+  const fieldErrors = validateInquiryFields({ name: String(name), email: String(email), phone: String(phone) });
+  if (fieldErrors.length) {
+    return res.status(400).json({ error: 'Invalid booking', details: fieldErrors });
   }
 
   try {
-    const inquiry = await ContactInquiry.create({ name, email, phone, message });
+    const session = await ClassSession.findOne({ _id: sessionId, active: true });
+    if (!session || session.weekday !== weekdayOfDate(date)) {
+      return res.status(404).json({ error: 'Class session not found on that date' });
+    }
 
-    let emailSent = false;
-    if (mailTransporter && CONTACT_TO_EMAIL && CONTACT_FROM_EMAIL) {
-      const emailSubject = `New Contact Inquiry from ${name || 'Visitor'}`;
-      const plainTextBody = [
-        `You have received a new contact inquiry via ZumbaWithPooh.com`,
-        '',
-        `Name: ${name}`,
-        `Email: ${email}`,
-        `Phone: ${phone || 'Not provided'}`,
-        '',
-        'Message:',
-        message,
-        '',
-        `Submitted at: ${new Date(inquiry.createdAt).toLocaleString()}`
-      ].join('\n');
-
-      const htmlBody = `
-        <h2>New Contact Inquiry</h2>
-        <p><strong>Name:</strong> ${name}</p>
-        <p><strong>Email:</strong> ${email}</p>
-        <p><strong>Phone:</strong> ${phone || 'Not provided'}</p>
-        <p><strong>Submitted at:</strong> ${new Date(inquiry.createdAt).toLocaleString()}</p>
-        <hr>
-        <p><strong>Message:</strong></p>
-        <p style="white-space: pre-line;">${message}</p>
-      `;
+    const classStart = getClassStart(date, session.startTime);
+    if (classStart.getTime() <= Date.now()) {
+      return res.status(400).json({ error: 'This class has already started' });
+    }
+    if (classStart.getTime() > Date.now() + BOOKING_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Bookings open ${BOOKING_WINDOW_DAYS} days before the class` });
+    }
 
-      try {
-        await mailTransporter.sendMail({
-          from: CONTACT_FROM_EMAIL,
-          to: CONTACT_TO_EMAIL,
-          replyTo: email,
-          subject: emailSubject,
-          text: plainTextBody,
-          html: htmlBody
-        });
-        emailSent = true;
-      } catch (mailErr) {
-        console.error('❌ Failed to send contact inquiry email:', mailErr);
-      }
+    const normalizedPhone = String(phone).trim();
+    const existing = await Booking.exists({
+      session: session._id,
+      date,
+      phone: normalizedPhone,
+      status: { $in: ['confirmed', 'waitlisted'] }
+    });
+    if (existing) {
+      return res.status(409).json({ error: 'You already have a booking for this class' });
     }
 
-    const responsePayload = inquiry.toObject();
-    responsePayload.emailSent = emailSent;
+    const confirmedCount = await Booking.countDocuments({ session: session._id, date, status: 'confirmed' });
+    const hasSpace = !session.capacity || confirmedCount < session.capacity;
 
-    res.status(201).json(responsePayload);
+    const cancelToken = crypto.randomBytes(24).toString('hex');
+    const booking = await Booking.create({
+      session: session._id,
+      date,
+      branch: session.branch,
+      name: String(name).trim(),
+      phone: normalizedPhone,
+      email: String(email).trim(),
+      status: hasSpace ? 'confirmed' : 'waitlisted',
+      cancelTokenHash: hashToken(cancelToken)
+    });
+
+    // Settle any race with a concurrent booking for the last spot.
+    await rebalanceBookings(session, date);
+    const settled = await Booking.findById(booking._id);
+
+    const payload = toPublicBooking(settled);
+    payload.cancelToken = cancelToken;
+    if (settled.status === 'waitlisted') {
+      payload.waitlistPosition = await Booking.countDocuments({
+        session: session._id,
+        date,
+        status: 'waitlisted',
+        createdAt: { $lte: settled.createdAt }
+      });
+    }
+
+    res.status(201).json(payload);
   } catch (err) {
-    console.error('Failed to save inquiry:', err);
-    res.status(500).json({ error: 'Failed to save inquiry' });
+    req.log.error('failed to create booking', { err });
+    res.status(500).json({ error: 'Failed to create booking' });
   }
 });
 
-app.get('/api/contact/inquiries', async (req, res) => {
+// Visitors cancel with the token returned at booking time; staff can cancel any booking.
+app.post('/api/bookings/:id/cancel', optionalAuth, async (req, res) => {
+  const { id } = req.params;
+  const { token = '' } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: 'Invalid booking id' });
+  }
+
+  if (!token && !req.user) {
+    return res.status(400).json({ error: 'Missing cancellation token' });
+  }
+
   try {
-    const inquiries = await ContactInquiry.find().sort({ createdAt: -1 });
-    res.json(inquiries);
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const isStaff = !!req.user;
+    if (isStaff && !canAccessBranch(req.user, booking.branch)) {
+      return res.status(403).json({ error: 'You can only manage your assigned branch' });
+    }
+    if (!isStaff && (!booking.cancelTokenHash || booking.cancelTokenHash !== hashToken(token))) {
+      return res.status(403).json({ error: 'Invalid cancellation token' });
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.json(toPublicBooking(booking));
+    }
+
+    const session = await ClassSession.findById(booking.session);
+    const classStart = session ? getClassStart(booking.date, session.startTime) : null;
+    const cutoff = classStart ? classStart.getTime() - BOOKING_CANCEL_CUTOFF_HOURS * 60 * 60 * 1000 : 0;
+
+    // Waitlist entries can always be dropped; confirmed spots lock in before class.
+    if (!isStaff && booking.status === 'confirmed' && classStart && Date.now() > cutoff) {
+      return res.status(409).json({
+        error: `Confirmed bookings can only be cancelled up to ${BOOKING_CANCEL_CUTOFF_HOURS} hours before class`
+      });
+    }
+
+    booking.status = 'cancelled';
+    booking.cancelledAt = new Date();
+    await booking.save();
+
+    if (session) {
+      await rebalanceBookings(session, booking.date);
+    }
+
+    res.json(toPublicBooking(booking));
   } catch (err) {
-    console.error('Failed to load inquiries:', err);
-    res.status(500).json({ error: 'Failed to load inquiries' });
+    req.log.error('failed to cancel booking', { err });
+    res.status(500).json({ error: 'Failed to cancel booking' });
   }
 });
 
-// ✅ Video reviews
-app.post('/api/videos/upload', upload.single('video'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'Missing video file' });
-  }
+app.get('/api/schedule/sessions/:id/roster', requireAuth, async (req, res) => {
+  const { id } = req.params;
+  const { date } = req.query;
 
-  if (!req.file.mimetype || !req.file.mimetype.startsWith('video/')) {
-    return res.status(400).json({ error: 'Only video files are allowed' });
+  if (!mongoose.Types.ObjectId.isValid(id) || !isValidBookingDate(date)) {
+    return res.status(400).json({ error: 'Missing or invalid session id or date' });
   }
 
   try {
-    const uploaded = await new Promise((resolve, reject) => {
-      const stream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'video',
-          folder: 'video-reviews',
-          public_id: `review_${Date.now()}`
-        },
-        (err, result) => {
-          if (result) resolve(result);
-          else reject(err);
-        }
-      );
+    const session = await ClassSession.findById(id).lean();
+    if (!session) {
+      return res.status(404).json({ error: 'Class session not found' });
+    }
 
-      streamifier.createReadStream(req.file.buffer).pipe(stream);
-    });
+    if (!canAccessBranch(req.user, session.branch)) {
+      return res.status(403).json({ error: 'You can only view your assigned branch' });
+    }
 
-    const titleFromFile = (req.file.originalname || '').replace(/\.[^/.]+$/, '');
+    const bookings = await Booking.find({ session: session._id, date })
+      .sort({ createdAt: 1 })
+      .select('-cancelTokenHash')
+      .lean();
 
-    const video = await VideoReview.create({
-      url: uploaded.secure_url,
-      title: uploaded.original_filename || titleFromFile,
-      fileName: req.file.originalname || '',
-      mimeType: req.file.mimetype || '',
-      publicId: uploaded.public_id || ''
+    res.json({
+      session: toPublicClassSession(session),
+      date,
+      confirmed: bookings.filter((booking) => booking.status === 'confirmed'),
+      waitlisted: bookings.filter((booking) => booking.status === 'waitlisted'),
+      cancelled: bookings.filter((booking) => booking.status === 'cancelled')
     });
-
-    res.status(201).json(video);
   } catch (err) {
-    console.error('Failed to upload video:', err);
-    res.status(500).json({ error: 'Failed to upload video' });
+    req.log.error('failed to load roster', { err });
+    res.status(500).json({ error: 'Failed to load roster' });
   }
 });
 
-app.post('/api/videos', async (req, res) => {
-  const { url, title = '', fileName = '', mimeType = '', publicId = '' } = req.body || {};
+/* =========================
+   BACKUP & RESTORE
+========================= */
+
+const BACKUP_FORMAT = 'zumbawithpooh-backup';
+const BACKUP_VERSION = 1;
+// Login sessions, half-finished uploads, cache stamps and the webhook delivery log only mean
+// something on the instance (or deployment) that made them.
+const BACKUP_EXCLUDED_MODELS = ['AdminSession', 'CacheStamp', 'VideoUploadSession', 'WebhookDelivery'];
+const RESTORE_MODES = ['merge', 'replace'];
+const RESTORE_BATCH_SIZE = 500;
+const RESTORE_ERROR_LIMIT = 20;
 
-  if (!url) {
-    return res.status(400).json({ error: 'Missing video URL' });
+function getBackupModelNames() {
+  return mongoose.modelNames().filter((name) => !BACKUP_EXCLUDED_MODELS.includes(name)).sort();
+}
+
+/**
+ * Checks a parsed backup and casts every document through its schema.
+ * Returns { error } for a malformed file, otherwise { collections: [{ name, Model, docs }], errors }.
+ */
+function readBackup(backup, onlyCollections) {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.collections !== 'object' || !backup.collections) {
+    return { error: 'File is not a ZumbaWithPooh backup' };
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    return { error: `Unsupported backup version ${backup.version} (expected ${BACKUP_VERSION})` };
+  }
+
+  const known = getBackupModelNames();
+  const names = onlyCollections || Object.keys(backup.collections);
+  const unknown = names.filter((name) => !known.includes(name));
+  if (unknown.length) {
+    return { error: `Unknown collection(s): ${unknown.join(', ')}. Restorable: ${known.join(', ')}` };
   }
 
+  const errors = [];
+  const collections = names.map((name) => {
+    const Model = mongoose.model(name);
+    const raw = backup.collections[name];
+    if (!Array.isArray(raw)) {
+      errors.push(`${name}: ${raw === undefined ? 'not in this backup' : 'must be an array'}`);
+      return { name, Model, docs: [] };
+    }
+
+    const docs = raw.map((entry, index) => {
+      if (!entry || !mongoose.Types.ObjectId.isValid(entry._id)) {
+        errors.push(`${name}[${index}]: missing or invalid _id`);
+        return null;
+      }
+      const doc = new Model(entry);
+      const invalid = doc.validateSync();
+      if (invalid) {
+        errors.push(`${name}[${index}] (${entry._id}): ${Object.values(invalid.errors).map((e) => e.message).join('; ')}`);
+        return null;
+      }
+      return doc.toObject({ depopulate: true });
+    });
+
+    return { name, Model, docs: docs.filter(Boolean) };
+  });
+
+  return { collections, errors };
+}
+
+async function describeRestore({ name, Model, docs }, mode) {
+  const [current, existing] = await Promise.all([
+    Model.estimatedDocumentCount(),
+    Model.countDocuments({ _id: { $in: docs.map((doc) => doc._id) } })
+  ]);
+  return mode === 'replace'
+    ? { collection: name, documents: docs.length, deleted: current, inserted: docs.length }
+    : { collection: name, documents: docs.length, inserted: docs.length - existing, overwritten: existing, untouched: current - existing };
+}
+
+async function writeRestoredDocs({ Model, docs }, mode) {
+  if (mode === 'replace') await Model.deleteMany({});
+
+  for (let start = 0; start < docs.length; start += RESTORE_BATCH_SIZE) {
+    const batch = docs.slice(start, start + RESTORE_BATCH_SIZE);
+    // Raw collection writes: documents were already cast and validated by readBackup.
+    await Model.collection.bulkWrite(
+      batch.map((doc) => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+      { ordered: false }
+    );
+  }
+}
+
+/**
+ * A restored gallery can be older than the revision history it sits next to (e.g. undoing a bad
+ * /api/save-cards). Move such branches past the newest revision and record the restore, so the
+ * next edit does not collide with an existing revision number.
+ */
+async function reconcileRestoredCards(cardDocs, { revisionsRestored, by }) {
+  for (const restored of cardDocs) {
+    const [latest] = await CardRevision.find({ branch: restored.branch }).sort({ version: -1 }).limit(1).lean();
+    const restoredVersion = restored.version || 0;
+    if (!latest || latest.version < restoredVersion) continue;
+    if (revisionsRestored && latest.version === restoredVersion) continue;
+
+    const cardData = await CardData.findOneAndUpdate(
+      { _id: restored._id },
+      { $set: { version: latest.version + 1, updatedBy: by, updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+    await recordCardRevision(cardData, { action: 'restore from backup', by });
+  }
+}
+
+// Full JSON dump of every collection, streamed one document at a time.
+app.get('/api/admin/backup', requireOwner, async (req, res) => {
+  const createdAt = new Date();
+  const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt, createdBy: req.user.username };
+
+  res.set('Content-Type', 'application/json; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="zumbawithpooh-backup-${createdAt.toISOString().slice(0, 10)}.json"`);
+
   try {
-    const video = await VideoReview.create({ url, title, fileName, mimeType, publicId });
-    res.status(201).json(video);
+    await writeChunk(res, `${JSON.stringify(header).slice(0, -1)},"collections":{`);
+
+    for (const [index, name] of getBackupModelNames().entries()) {
+      if (!await writeChunk(res, `${index ? ',' : ''}${JSON.stringify(name)}:[`)) return;
+
+      const model = mongoose.model(name);
+      // Fields hidden from normal queries (webhook secrets) still belong in a backup.
+      const hiddenPaths = Object.keys(model.schema.paths).filter((path) => model.schema.paths[path].options.select === false);
+      const cursor = model.find().select(hiddenPaths.map((path) => `+${path}`).join(' ')).sort({ _id: 1 }).lean().cursor();
+      let count = 0;
+      for await (const doc of cursor) {
+        if (!await writeChunk(res, `${count ? ',' : ''}${JSON.stringify(doc)}`)) return cursor.close();
+        count += 1;
+      }
+      await writeChunk(res, ']');
+    }
+
+    res.end('}}');
+    req.log.info('backup downloaded', { by: req.user.username });
   } catch (err) {
-    console.error('Failed to save video:', err);
-    res.status(500).json({ error: 'Failed to save video' });
+    req.log.error('failed to create backup', { err });
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Failed to create backup' });
   }
 });
 
-app.get('/api/videos', async (req, res) => {
+/**
+ * Multipart field `backup` holds the file. Query (or form fields):
+ *   mode=merge (default) upserts by _id and leaves other documents alone;
+ *   mode=replace empties each restored collection first.
+ *   dryRun defaults to true: only dryRun=false writes anything.
+ *   collections=CardData,Image limits the restore to those collections.
+ * Nothing is written unless every selected document passes its schema. Writes are not
+ * transactional, so download a fresh backup before a replace.
+ */
+app.post('/api/admin/restore', requireOwner, acceptBackupUpload, async (req, res) => {
+  const options = { ...req.body, ...req.query };
+  const mode = String(options.mode || 'merge');
+  const dryRun = String(options.dryRun ?? 'true').toLowerCase() !== 'false';
+  const onlyCollections = options.collections ? String(options.collections).split(',').map((name) => name.trim()).filter(Boolean) : null;
+
+  if (!RESTORE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${RESTORE_MODES.join(', ')}` });
+  }
+  if (!req.file) {
+    return res.status(400).json({ error: 'Missing backup file' });
+  }
+
+  let backup;
   try {
-    const videos = await VideoReview.find().sort({ uploadedAt: -1 });
-    res.json(videos);
+    backup = JSON.parse(req.file.buffer.toString('utf8'));
   } catch (err) {
-    console.error('Failed to load videos:', err);
-    res.status(500).json({ error: 'Failed to load videos' });
+    return res.status(400).json({ error: 'Backup file is not valid JSON' });
   }
-});
 
-app.delete('/api/videos/:id', async (req, res) => {
-  const { id } = req.params;
-  const forceDbOnly = String(req.query.forceDbOnly || '').toLowerCase() === 'true';
+  const { collections, errors, error } = readBackup(backup, onlyCollections);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    return res.status(400).json({ error: 'Invalid video id' });
+  // Replacing staff accounts must not lock everyone out.
+  const users = collections.find((entry) => entry.name === 'User');
+  if (mode === 'replace' && users && !users.docs.some((user) => user.role === 'owner' && user.status === 'active')) {
+    errors.push('User: a replace must keep at least one active owner account');
   }
 
   try {
-    const video = await VideoReview.findById(id);
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
+    const report = await Promise.all(collections.map((entry) => describeRestore(entry, mode)));
+    const summary = { mode, dryRun, backupCreatedAt: backup.createdAt || null, collections: report };
+
+    if (errors.length) {
+      return res.status(400).json({
+        error: 'Backup failed validation; nothing was restored',
+        details: errors.slice(0, RESTORE_ERROR_LIMIT),
+        totalErrors: errors.length,
+        ...summary
+      });
+    }
+    if (dryRun) {
+      return res.json(summary);
     }
 
-    const videoCloudName = extractCloudinaryCloudNameFromUrl(video.url);
-    if (videoCloudName && videoCloudName !== CLOUDINARY_CLOUD_NAME) {
-      if (forceDbOnly) {
-        await VideoReview.findByIdAndDelete(id);
-        return res.json({
-          success: true,
-          id,
-          forceDbOnly: true,
-          warning: 'Database record removed. Cloudinary asset remains in legacy cloud account.'
-        });
+    // Queued mail from another environment would go out to real people; keep it for manual resend.
+    const outbox = collections.find((entry) => entry.name === 'OutboundEmail');
+    (outbox?.docs || []).forEach((email) => {
+      if (['queued', 'sending'].includes(email.status)) {
+        Object.assign(email, { status: 'failed', lockedAt: null, lastError: 'Not sent: restored from a backup' });
       }
+    });
 
-      return res.status(409).json({
-        error: 'Video belongs to a different Cloudinary cloud than current server credentials',
-        videoCloudName,
-        configuredCloudName: CLOUDINARY_CLOUD_NAME,
-        canForceDbOnly: true,
-        hint: 'Use forceDbOnly=true to remove the website record only when the asset belongs to a legacy cloud account'
+    // Likewise a copied database must not start calling the other environment's receivers.
+    const webhooks = collections.find((entry) => entry.name === 'Webhook');
+    (webhooks?.docs || []).forEach((webhook) => {
+      webhook.active = false;
+    });
+
+    for (const entry of collections) {
+      await writeRestoredDocs(entry, mode);
+    }
+
+    const cards = collections.find((entry) => entry.name === 'CardData');
+    if (cards) {
+      await reconcileRestoredCards(cards.docs, {
+        revisionsRestored: collections.some((entry) => entry.name === 'CardRevision'),
+        by: req.user.username
       });
     }
 
-    const storedPublicId = (video.publicId || '').trim();
-    const urlDerivedPublicId = extractCloudinaryPublicIdFromUrl(video.url);
-    const cloudinaryCandidates = [storedPublicId, urlDerivedPublicId].filter((value, idx, arr) => value && arr.indexOf(value) === idx);
+    await Promise.all([clearBranchCache(), clearOfferCache(), clearVideoCache()]);
+    req.log.warn('backup restored', { by: req.user.username, mode, collections: collections.map((entry) => entry.name) });
+    res.json(summary);
+  } catch (err) {
+    req.log.error('failed to restore backup', { err });
+    res.status(500).json({
+      error: 'Restore failed part-way; some collections may be partially restored',
+      details: (err.writeErrors || [err]).slice(0, RESTORE_ERROR_LIMIT).map((entry) => entry.errmsg || entry.message)
+    });
+  }
+});
 
-    if (cloudinaryCandidates.length) {
-      let deletedFromCloudinary = false;
-      let lastCloudinaryError = '';
+/* =========================
+   HEALTH CHECKS
+========================= */
 
-      for (const candidate of cloudinaryCandidates) {
-        try {
-          const cloudinaryResult = await cloudinary.uploader.destroy(candidate, {
-            resource_type: 'video',
-            invalidate: true
-          });
+// Cloudinary's Admin API is rate limited, so storage and SMTP are probed at most this often.
+const READY_CHECK_CACHE_MS = 30 * 1000;
+const READY_CHECK_TIMEOUT_MS = 5000;
+const readyCheckCache = new Map();
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
 
-          // Cloudinary returns "ok" for deleted assets and "not found" when already absent.
-          if (cloudinaryResult?.result === 'ok' || cloudinaryResult?.result === 'not found') {
-            deletedFromCloudinary = true;
-            if (cloudinaryResult?.result === 'not found') {
-              console.warn('⚠️ Cloudinary video asset already missing:', candidate);
-            }
-            break;
-          }
+async function runCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${READY_CHECK_TIMEOUT_MS} ms`)), READY_CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'up', latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { status: 'down', latencyMs: Date.now() - startedAt, error: err?.message || String(err) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-          lastCloudinaryError = `Unexpected Cloudinary response: ${JSON.stringify(cloudinaryResult)}`;
-        } catch (cloudErr) {
-          lastCloudinaryError = cloudErr?.message || 'Unknown Cloudinary delete failure';
-        }
-      }
+async function runCachedCheck(name, check) {
+  const cached = readCache(readyCheckCache.get(name));
+  if (cached) return cached;
+  const result = await runCheck(check);
+  readyCheckCache.set(name, { value: result, expiresAt: Date.now() + READY_CHECK_CACHE_MS });
+  return result;
+}
 
-      if (!deletedFromCloudinary) {
-        console.error('❌ Failed to delete video from Cloudinary:', lastCloudinaryError);
-        const errorText = String(lastCloudinaryError || '');
-        const isAuthMismatch = /api_secret mismatch|invalid signature/i.test(errorText);
+// Liveness: the process is up and serving. Stays 200 while draining so it is not restarted mid-drain.
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: shuttingDown ? 'shutting down' : 'ok',
+    version: APP_VERSION,
+    uptimeSeconds: Math.round(process.uptime()),
+    mongodb: MONGO_STATES[mongoose.connection.readyState] || 'unknown'
+  });
+});
 
-        if (isAuthMismatch) {
-          return res.status(401).json({
-            error: 'Cloudinary credentials are invalid for delete operation',
-            details: errorText,
-            configuredCloudName: CLOUDINARY_CLOUD_NAME,
-            hint: 'Verify CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET from the same Cloudinary account'
-          });
-        }
+// Readiness: MongoDB and media storage must answer. SMTP is reported but optional, because
+// emails wait in the outbox until it recovers.
+app.get('/api/ready', async (req, res) => {
+  const [mongodb, storage, smtp] = await Promise.all([
+    mongoose.connection.readyState === 1
+      ? runCheck(() => mongoose.connection.db.admin().ping())
+      : { status: 'down', error: `MongoDB is ${MONGO_STATES[mongoose.connection.readyState] || 'unavailable'}` },
+    runCachedCheck('storage', () => mediaStorage.check()),
+    mailTransporter ? runCachedCheck('smtp', () => mailTransporter.verify()) : { status: 'disabled' }
+  ]);
 
-        return res.status(502).json({
-          error: 'Failed to delete video file from Cloudinary',
-          details: errorText
-        });
-      }
-    }
+  const ready = !shuttingDown && mongodb.status === 'up' && storage.status === 'up';
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'unavailable',
+    shuttingDown,
+    checks: { mongodb, storage: { driver: mediaStorage.driver, ...storage }, smtp }
+  });
+});
 
-    await VideoReview.findByIdAndDelete(id);
-    res.json({ success: true, id });
-  } catch (err) {
-    console.error('Failed to delete video:', err);
-    res.status(500).json({ error: 'Failed to delete video' });
-  }
+// Errors that escape a route (e.g. malformed JSON bodies) come back as JSON with the request id.
+app.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) (req.log || logger).error('unhandled request error', { err });
+  if (res.headersSent) return next(err);
+  res.status(status).json({
+    error: status < 500 && err.expose !== false ? err.message : 'Internal server error',
+    requestId: req.id
+  });
 });
 
 /* =========================
    START SERVER
 ========================= */
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
-});
+let server = null;
+
+function startServer() {
+  connectToMongo();
+  server = app.listen(PORT, () => {
+    logger.info('server listening', { port: Number(PORT), version: APP_VERSION, mediaStorage: MEDIA_STORAGE });
+  });
+}
+
+/* =========================
+   GRACEFUL SHUTDOWN
+========================= */
+
+// Most hosts send SIGKILL ~30 s after SIGTERM; finish before that.
+const SHUTDOWN_TIMEOUT_MS = (Number(readEnv('SHUTDOWN_TIMEOUT_SECONDS')) || 25) * 1000;
+
+async function waitForWorkersIdle() {
+  while (outboxRunning || webhookQueueRunning) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+/**
+ * Stops accepting connections, lets in-flight requests (including upload parts and video
+ * completions) finish, stops the background workers, then closes MongoDB and SMTP.
+ * Interrupted chunked uploads resume from their session against the next instance.
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('shutdown started', { signal, activeRequests });
+
+  clearInterval(outboxTimer);
+  clearInterval(webhookTimer);
+  clearInterval(videoSweepTimer);
+  clearTimeout(mongoRetryTimer);
+  outboxTimer = null;
+  webhookTimer = null;
+  videoSweepTimer = null;
+
+  const forceExit = setTimeout(() => {
+    logger.error('shutdown timed out; closing remaining connections', { activeRequests });
+    server.closeAllConnections();
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  try {
+    await new Promise((resolve) => server.close(() => resolve()));
+    logger.info('http server drained');
+    await waitForWorkersIdle();
+    // A first connection attempt still in progress is simply abandoned.
+    if (mongoose.connection.readyState === 1) await mongoose.connection.close();
+    if (mailTransporter) mailTransporter.close();
+    logger.info('shutdown complete', { signal });
+    process.exit(0);
+  } catch (err) {
+    logger.error('shutdown failed', { err });
+    process.exit(1);
+  }
+}
+
+// `node server.js` runs everything; the tests require this file for `app` and drive the
+// workers themselves, without connecting to MongoDB or listening on a port.
+if (require.main === module) {
+  startServer();
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('unhandledRejection', (reason) => {
+    logger.error('unhandled promise rejection', { err: reason instanceof Error ? reason : new Error(String(reason)) });
+  });
+}
+
+module.exports = { app, processOutbox };
@@ -0,0 +1,171 @@
+// test/auth.test.js
+// Staff sign-in: login and logout, the failed-login throttle, and the 401/403 answers of
+// requireAuth and requireRole.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { installFakeDb } = require('./helpers/fake-db');
+const { loadServer, listen, signInAs } = require('./helpers/server');
+
+// Each test signs in from its own X-Forwarded-For address so throttle counts stay separate.
+const { app } = loadServer({ TRUST_PROXY: '1' });
+const User = mongoose.model('User');
+
+const PASSWORD = 'correct horse battery';
+
+let server;
+let nextIp = 1;
+
+before(async () => {
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+// Same format as hashPassword in server.js.
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+const PASSWORD_HASH = hashPassword(PASSWORD);
+
+function createUser(fields = {}) {
+  return new User({ username: 'maya', role: 'branch-manager', branch: 'branch1', status: 'active', passwordHash: PASSWORD_HASH, ...fields });
+}
+
+// A fake database holding one user; returns the db and a login(password) helper for a fresh IP.
+function mockStaff(t, user = createUser()) {
+  const db = installFakeDb(t.mock);
+  db.on('User.findOne', ({ filter }) => (filter.username === user.username ? user : null));
+
+  const ip = `203.0.113.${nextIp++}`;
+  const login = (password, username = user.username) => fetch(`${server.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+    body: JSON.stringify({ username, password })
+  });
+
+  return { db, user, login };
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+describe('POST /api/auth/login', () => {
+  test('returns a bearer token and stores only its hash', async (t) => {
+    const { db, user, login } = mockStaff(t);
+
+    const res = await login(PASSWORD);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.match(body.token, /^[0-9a-f]{64}$/);
+    assert.deepEqual([body.username, body.role, body.branch], ['maya', 'branch-manager', 'branch1']);
+
+    const session = db.saved.find((doc) => doc.constructor.modelName === 'AdminSession');
+    assert.equal(session.tokenHash, sha256(body.token));
+    assert.equal(String(session.userId), String(user._id));
+    assert.ok(session.expiresAt > new Date());
+    assert.ok(user.lastLoginAt);
+  });
+
+  test('rejects a wrong password, an unknown user and a disabled account alike', async (t) => {
+    const { login } = mockStaff(t, createUser({ username: 'disabled', status: 'disabled' }));
+
+    for (const res of [await login('wrong password'), await login(PASSWORD, 'nobody'), await login(PASSWORD)]) {
+      assert.equal(res.status, 401);
+      assert.equal((await res.json()).error, 'Invalid username or password');
+    }
+  });
+
+  test('blocks an IP after five failures, even with the right password', async (t) => {
+    const { db, login } = mockStaff(t);
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      assert.equal((await login('wrong password')).status, 401);
+    }
+    const blocked = await login(PASSWORD);
+
+    assert.equal(blocked.status, 429);
+    assert.ok(!db.saved.some((doc) => doc.constructor.modelName === 'AdminSession'));
+
+    // Another address is unaffected.
+    const other = mockStaff(t);
+    assert.equal((await other.login(PASSWORD)).status, 200);
+  });
+
+  test('a successful login clears the failure count', async (t) => {
+    const { login } = mockStaff(t);
+
+    for (let attempt = 0; attempt < 4; attempt += 1) await login('wrong password');
+    assert.equal((await login(PASSWORD)).status, 200);
+    for (let attempt = 0; attempt < 4; attempt += 1) await login('wrong password');
+
+    assert.equal((await login(PASSWORD)).status, 200);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('deletes the session the token belongs to', async (t) => {
+    const db = installFakeDb(t.mock);
+    const sessionId = new mongoose.Types.ObjectId();
+    const user = createUser();
+    db.on('AdminSession.findOne', () => ({ _id: sessionId, userId: user._id }));
+    db.on('User.findOne', () => user);
+
+    const res = await fetch(`${server.url}/api/auth/logout`, { method: 'POST', headers: { Authorization: 'Bearer some-token' } });
+
+    assert.equal(res.status, 200);
+    const [lookup] = db.findQueries('AdminSession.findOne');
+    assert.equal(lookup.filter.tokenHash, sha256('some-token'));
+    assert.deepEqual(db.findQueries('AdminSession.deleteOne').map(({ filter }) => String(filter._id)), [String(sessionId)]);
+  });
+});
+
+describe('requireAuth and requireRole', () => {
+  test('answers 401 without a token', async (t) => {
+    installFakeDb(t.mock);
+
+    const res = await fetch(`${server.url}/api/auth/me`);
+
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error, 'Authentication required');
+  });
+
+  test('answers 401 for an unknown or expired token', async (t) => {
+    const db = installFakeDb(t.mock);
+
+    const res = await fetch(`${server.url}/api/auth/me`, { headers: { Authorization: 'Bearer stale-token' } });
+
+    assert.equal(res.status, 401);
+    const [lookup] = db.findQueries('AdminSession.findOne');
+    assert.ok(lookup.filter.expiresAt.$gt <= new Date());
+  });
+
+  test('answers 401 once the account is disabled, even with a live session', async (t) => {
+    const db = installFakeDb(t.mock);
+    const headers = signInAs(db, { _id: new mongoose.Types.ObjectId(), username: 'maya', role: 'owner', status: 'disabled' });
+
+    const res = await fetch(`${server.url}/api/auth/me`, { headers });
+
+    assert.equal(res.status, 401);
+  });
+
+  test('answers 403 when the role is not allowed and lets the right role through', async (t) => {
+    const db = installFakeDb(t.mock);
+    const trainer = signInAs(db, { _id: new mongoose.Types.ObjectId(), username: 'tara', role: 'trainer', branch: 'branch1' });
+
+    const forbidden = await fetch(`${server.url}/api/staff`, { headers: trainer });
+    assert.equal(forbidden.status, 403);
+    assert.equal(db.findQueries('User.find').length, 0);
+
+    const owner = signInAs(db, { _id: new mongoose.Types.ObjectId(), username: 'olive', role: 'owner' });
+    const allowed = await fetch(`${server.url}/api/staff`, { headers: owner });
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(await allowed.json(), []);
+  });
+});
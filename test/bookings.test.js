@@ -0,0 +1,168 @@
+// test/bookings.test.js
+// Class bookings: capacity, the waitlist, promotion when a spot frees up, and the rebalance
+// that settles two visitors racing for the last spot.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { installFakeDb } = require('./helpers/fake-db');
+const { loadServer, listen } = require('./helpers/server');
+
+// Each request comes from its own X-Forwarded-For address so the per-IP booking limit never trips.
+const { app } = loadServer({ TRUST_PROXY: '1' });
+const Booking = mongoose.model('Booking');
+const ClassSession = mongoose.model('ClassSession');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+let server;
+let nextIp = 1;
+
+before(async () => {
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+// A class two days from now (studio dates are at most a day apart from UTC ones).
+function upcomingClassDate() {
+  const date = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return { date, weekday: WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] };
+}
+
+// Enough of MongoDB's filter language for the booking queries: equality, $in and $lte.
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field];
+    if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+      if (condition.$in) return condition.$in.includes(value);
+      if (condition.$lte) return value <= condition.$lte;
+    }
+    return String(value) === String(condition);
+  });
+}
+
+// One class session with the given capacity; bookings live in memory and saves update them.
+function mockClass(t, { capacity }) {
+  const db = installFakeDb(t.mock);
+  const { date, weekday } = upcomingClassDate();
+  const session = new ClassSession({ branch: 'branch1', weekday, startTime: '18:00', classType: 'Zumba', capacity });
+  const bookings = [];
+  let clock = Date.now();
+
+  db.on('ClassSession.findOne', () => session);
+  db.on('Booking.find', ({ filter }) => bookings
+    .filter((booking) => matches(booking, filter))
+    .sort((a, b) => a.createdAt - b.createdAt));
+  db.on('Booking.findOne', ({ filter }) => bookings.find((booking) => matches(booking, filter)) || null);
+  db.on('Booking.countDocuments', ({ filter }) => bookings.filter((booking) => matches(booking, filter)).length);
+
+  // Model.create and document saves both land here; new bookings get increasing createdAt.
+  const save = mongoose.Model.prototype.save;
+  t.mock.method(mongoose.Model.prototype, '$save', async function saveBooking() {
+    if (this instanceof Booking && !bookings.includes(this)) {
+      clock += 1000;
+      this.createdAt = new Date(clock);
+      bookings.push(this);
+    }
+    return save.call(this);
+  });
+
+  const book = async (name, phone) => {
+    const res = await fetch(`${server.url}/api/bookings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': `198.51.100.${nextIp++}` },
+      body: JSON.stringify({ sessionId: String(session._id), date, name, phone })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const cancel = (id, token) => fetch(`${server.url}/api/bookings/${id}/cancel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token })
+  });
+
+  const statusOf = (name) => bookings.find((booking) => booking.name === name).status;
+
+  return { db, session, date, bookings, book, cancel, statusOf };
+}
+
+describe('POST /api/bookings', () => {
+  test('confirms up to capacity, then waitlists in arrival order', async (t) => {
+    const { book } = mockClass(t, { capacity: 2 });
+
+    const results = [];
+    for (const [name, phone] of [['Asha', '9800000001'], ['Ritu', '9800000002'], ['Meera', '9800000003'], ['Kavya', '9800000004']]) {
+      results.push(await book(name, phone));
+    }
+
+    assert.deepEqual(results.map(({ status }) => status), [201, 201, 201, 201]);
+    assert.deepEqual(results.map(({ body }) => body.status), ['confirmed', 'confirmed', 'waitlisted', 'waitlisted']);
+    assert.deepEqual(results.map(({ body }) => body.waitlistPosition), [undefined, undefined, 1, 2]);
+    assert.ok(results.every(({ body }) => /^[0-9a-f]{48}$/.test(body.cancelToken)));
+  });
+
+  test('takes every booking when capacity is 0 (unlimited)', async (t) => {
+    const { book } = mockClass(t, { capacity: 0 });
+
+    for (let index = 0; index < 3; index += 1) {
+      const { body } = await book(`Guest ${index}`, `980000010${index}`);
+      assert.equal(body.status, 'confirmed');
+    }
+  });
+
+  test('refuses a second booking from the same phone', async (t) => {
+    const { book, bookings } = mockClass(t, { capacity: 2 });
+
+    await book('Asha', '9800000001');
+    const again = await book('Asha again', '9800000001');
+
+    assert.equal(again.status, 409);
+    assert.equal(bookings.length, 1);
+  });
+
+  test('moves the later of two racing bookings for the last spot to the waitlist', async (t) => {
+    const { db, book, bookings } = mockClass(t, { capacity: 1 });
+    await book('Asha', '9800000001');
+
+    // Ritu's request counted the spots before Asha's booking was stored, so it is created confirmed.
+    let staleCounts = 1;
+    db.on('Booking.countDocuments', ({ filter }) => {
+      if (filter.status === 'confirmed' && staleCounts-- > 0) return 0;
+      return bookings.filter((booking) => matches(booking, filter)).length;
+    });
+    const ritu = await book('Ritu', '9800000002');
+
+    assert.equal(ritu.body.status, 'waitlisted');
+    assert.equal(ritu.body.waitlistPosition, 1);
+    assert.deepEqual(bookings.map((booking) => [booking.name, booking.status]), [['Asha', 'confirmed'], ['Ritu', 'waitlisted']]);
+  });
+});
+
+describe('POST /api/bookings/:id/cancel', () => {
+  test('promotes the longest-waiting booking into the freed spot', async (t) => {
+    const { book, cancel, statusOf, bookings } = mockClass(t, { capacity: 1 });
+    const asha = await book('Asha', '9800000001');
+    await book('Ritu', '9800000002');
+    await book('Meera', '9800000003');
+
+    const res = await cancel(asha.body.id, asha.body.cancelToken);
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'cancelled');
+    assert.deepEqual(['Asha', 'Ritu', 'Meera'].map(statusOf), ['cancelled', 'confirmed', 'waitlisted']);
+    assert.ok(bookings.find((booking) => booking.name === 'Ritu').promotedAt);
+  });
+
+  test('refuses a wrong cancellation token and promotes nobody', async (t) => {
+    const { book, cancel, statusOf } = mockClass(t, { capacity: 1 });
+    const asha = await book('Asha', '9800000001');
+    await book('Ritu', '9800000002');
+
+    const res = await cancel(asha.body.id, 'not-the-token');
+
+    assert.equal(res.status, 403);
+    assert.deepEqual(['Asha', 'Ritu'].map(statusOf), ['confirmed', 'waitlisted']);
+  });
+});
@@ -0,0 +1,155 @@
+// test/cards.test.js
+// Versioned gallery writes: full saves and per-card edits must name the version they were
+// based on (428 without one) and are refused with 409 and the current cards when it is stale.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { installFakeDb } = require('./helpers/fake-db');
+const { loadServer, listen, signInAs } = require('./helpers/server');
+
+const { app } = loadServer();
+
+const OWNER = { _id: new mongoose.Types.ObjectId(), username: 'owner', role: 'owner' };
+
+let server;
+
+before(async () => {
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+// Branch 1's CardData at version 3, updated only through the compare-and-swap writeBranchCards
+// uses. `beforeSwap` runs between the read and the swap, to stage a concurrent edit.
+function mockCards(t, { beforeSwap } = {}) {
+  const db = installFakeDb(t.mock);
+  const headers = signInAs(db, OWNER);
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    branch: 'branch1',
+    version: 3,
+    cards: [{ cardNum: 1, name: 'Asha', details: 'Lost 6 kg' }, { cardNum: 2, name: 'Ritu', details: '' }]
+  };
+  const snapshot = () => structuredClone(stored);
+
+  db.on('CardData.findOneAndUpdate', ({ filter, update }) => {
+    if (!update.$inc) return snapshot();
+    if (beforeSwap) beforeSwap(stored);
+    if (filter.version !== stored.version) return null;
+    Object.assign(stored, update.$set, { version: stored.version + update.$inc.version });
+    return snapshot();
+  });
+  db.on('CardData.findOne', snapshot);
+  // The baseline revision already exists.
+  db.on('CardRevision.findOne', () => ({ _id: 'baseline' }));
+
+  const revisions = () => db.saved.filter((doc) => doc.constructor.modelName === 'CardRevision');
+  return { db, headers, stored, revisions };
+}
+
+function send(method, path, headers, body) {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+const NEW_CARDS = [{ cardNum: 1, name: 'Asha', details: 'Lost 8 kg' }];
+
+describe('POST /api/save-cards', () => {
+  test('answers 428 when no version is sent and changes nothing', async (t) => {
+    const { db, headers, stored } = mockCards(t);
+
+    const res = await send('POST', '/api/save-cards', headers, { branch: 'branch1', cards: NEW_CARDS });
+
+    assert.equal(res.status, 428);
+    assert.equal(stored.version, 3);
+    assert.equal(db.findQueries('CardData.findOneAndUpdate').length, 0);
+  });
+
+  test('answers 400 for a malformed version', async (t) => {
+    const { headers, stored } = mockCards(t);
+
+    const res = await send('POST', '/api/save-cards', headers, { branch: 'branch1', cards: NEW_CARDS, version: 'latest' });
+
+    assert.equal(res.status, 400);
+    assert.equal(stored.version, 3);
+  });
+
+  test('saves on top of the loaded version and records a revision', async (t) => {
+    const { headers, stored, revisions } = mockCards(t);
+
+    const res = await send('POST', '/api/save-cards', headers, { branch: 'branch1', cards: NEW_CARDS, version: 3 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { success: true, version: 4 });
+    assert.deepEqual(stored.cards, NEW_CARDS);
+    assert.deepEqual(revisions().map((revision) => [revision.version, revision.action]), [[4, 'replace']]);
+  });
+
+  test('refuses a stale version with 409 and the current cards', async (t) => {
+    const { headers, stored, revisions } = mockCards(t);
+    const current = structuredClone(stored.cards);
+
+    const res = await send('POST', '/api/save-cards', headers, { branch: 'branch1', cards: NEW_CARDS, version: 2 });
+    const body = await res.json();
+
+    assert.equal(res.status, 409);
+    assert.equal(body.version, 3);
+    assert.deepEqual(body.cards, current);
+    assert.deepEqual(stored.cards, current);
+    assert.equal(revisions().length, 0);
+  });
+
+  test('refuses with 409 when another save lands between the read and the write', async (t) => {
+    const { headers, stored, revisions } = mockCards(t, {
+      beforeSwap(doc) {
+        doc.version = 4;
+        doc.cards = [{ cardNum: 1, name: 'Asha', details: 'Edited elsewhere' }];
+      }
+    });
+
+    const res = await send('POST', '/api/save-cards', headers, { branch: 'branch1', cards: NEW_CARDS, version: 3 });
+    const body = await res.json();
+
+    assert.equal(res.status, 409);
+    assert.equal(body.version, 4);
+    assert.equal(stored.cards[0].details, 'Edited elsewhere');
+    assert.equal(revisions().length, 0);
+  });
+});
+
+describe('PATCH /api/cards/:branch/:cardNum', () => {
+  test('answers 428 without a version', async (t) => {
+    const { headers, stored } = mockCards(t);
+
+    const res = await send('PATCH', '/api/cards/branch1/2', headers, { details: 'Lost 3 kg' });
+
+    assert.equal(res.status, 428);
+    assert.equal(stored.cards[1].details, '');
+  });
+
+  test('accepts the version as an If-Match ETag', async (t) => {
+    const { headers, stored } = mockCards(t);
+
+    const res = await send('PATCH', '/api/cards/branch1/2', { ...headers, 'If-Match': '"3"' }, { details: 'Lost 3 kg' });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.version, 4);
+    assert.deepEqual(body.card, { cardNum: 2, name: 'Ritu', details: 'Lost 3 kg' });
+    assert.equal(stored.cards[0].details, 'Lost 6 kg');
+  });
+
+  test('refuses a stale If-Match with 409', async (t) => {
+    const { headers, stored } = mockCards(t);
+
+    const res = await send('PATCH', '/api/cards/branch1/2', { ...headers, 'If-Match': '"1"' }, { details: 'Lost 3 kg' });
+
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).version, 3);
+    assert.equal(stored.cards[1].details, '');
+  });
+});
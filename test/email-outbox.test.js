@@ -0,0 +1,179 @@
+// test/email-outbox.test.js
+// The email outbox against a local SMTP stand-in (smtp-server): transient rejections are
+// retried with backoff, every attempt is logged, permanent or repeated failures end as
+// `failed`, and an owner can resend a failed message.
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SMTPServer } = require('smtp-server');
+const mongoose = require('mongoose');
+const { installFakeDb } = require('./helpers/fake-db');
+const { loadServer, listen, signInAs, waitFor } = require('./helpers/server');
+
+const RETRY_BASE_MS = 50;
+const OWNER = { _id: new mongoose.Types.ObjectId(), username: 'owner', role: 'owner' };
+
+// Recipient -> SMTP reply codes to answer its next deliveries with; anything else is accepted.
+const scriptedReplies = new Map();
+const delivered = [];
+
+const smtp = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['AUTH', 'STARTTLS'],
+  logger: false,
+  onRcptTo(address, session, callback) {
+    const codes = scriptedReplies.get(address.address) || [];
+    const code = codes.shift();
+    if (!code) return callback();
+    const err = new Error(code >= 500 ? 'Mailbox unavailable' : 'Try again later');
+    err.responseCode = code;
+    callback(err);
+  },
+  onData(stream, session, callback) {
+    stream.resume();
+    stream.on('end', () => {
+      delivered.push(session.envelope.rcptTo.map((rcpt) => rcpt.address));
+      callback();
+    });
+  }
+});
+
+let app;
+let processOutbox;
+let OutboundEmail;
+let server;
+
+before(async () => {
+  await new Promise((resolve) => smtp.listen(0, '127.0.0.1', resolve));
+  ({ app, processOutbox } = loadServer({
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.server.address().port),
+    SMTP_SECURE: 'false',
+    CONTACT_TO_EMAIL: 'studio@example.com',
+    CONTACT_FROM_EMAIL: 'noreply@example.com',
+    EMAIL_RETRY_BASE_SECONDS: String(RETRY_BASE_MS / 1000)
+  }));
+  OutboundEmail = mongoose.model('OutboundEmail');
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await new Promise((resolve) => smtp.close(resolve));
+});
+
+beforeEach(() => {
+  scriptedReplies.clear();
+  delivered.length = 0;
+});
+
+// OutboundEmail documents kept in memory; claiming follows the worker's query.
+function mockOutbox(t) {
+  const db = installFakeDb(t.mock);
+  const outbox = [];
+
+  db.on('OutboundEmail.findOneAndUpdate', () => {
+    const due = outbox
+      .filter((email) => email.status === 'queued' && email.nextAttemptAt <= new Date())
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    if (!due.length) return null;
+    due[0].status = 'sending';
+    due[0].lockedAt = new Date();
+    return due[0];
+  });
+  db.on('OutboundEmail.findOne', ({ filter }) => outbox.find((email) => String(email._id) === String(filter._id)) || null);
+
+  function queue(to, { maxAttempts = 3 } = {}) {
+    const email = new OutboundEmail({
+      kind: 'contact-inquiry',
+      from: 'noreply@example.com',
+      to,
+      subject: 'New inquiry',
+      html: '<p>Hello</p>',
+      text: 'Hello',
+      maxAttempts
+    });
+    outbox.push(email);
+    return email;
+  }
+
+  return { db, queue };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('email outbox', () => {
+  test('retries a transient failure after the backoff delay and logs each attempt', async (t) => {
+    const { queue } = mockOutbox(t);
+    scriptedReplies.set('flaky@example.com', [451]);
+    const email = queue('flaky@example.com');
+
+    await processOutbox();
+    assert.equal(email.status, 'queued');
+    assert.equal(email.attemptCount, 1);
+    assert.equal(email.attempts[0].ok, false);
+    assert.match(email.attempts[0].error, /451/);
+    assert.ok(email.nextAttemptAt - email.attempts[0].at >= RETRY_BASE_MS - 5);
+
+    // Not due yet: nothing is sent before the backoff has passed.
+    await processOutbox();
+    assert.equal(email.attemptCount, 1);
+    assert.equal(delivered.length, 0);
+
+    await sleep(RETRY_BASE_MS + 10);
+    await processOutbox();
+    assert.equal(email.status, 'sent');
+    assert.equal(email.attemptCount, 2);
+    assert.ok(email.sentAt);
+    assert.deepEqual(email.attempts.map((attempt) => attempt.ok), [false, true]);
+    assert.match(email.attempts[1].response, /^250/);
+    assert.deepEqual(delivered, [['flaky@example.com']]);
+  });
+
+  test('gives up after EMAIL_MAX_ATTEMPTS transient failures, doubling the delay', async (t) => {
+    const { queue } = mockOutbox(t);
+    scriptedReplies.set('down@example.com', [421, 421, 421]);
+    const email = queue('down@example.com', { maxAttempts: 3 });
+
+    await processOutbox();
+    await sleep(RETRY_BASE_MS + 10);
+    await processOutbox();
+    assert.ok(email.nextAttemptAt - email.attempts[1].at >= 2 * RETRY_BASE_MS - 5);
+    await sleep(2 * RETRY_BASE_MS + 10);
+    await processOutbox();
+
+    assert.equal(email.status, 'failed');
+    assert.equal(email.attemptCount, 3);
+    assert.equal(email.attempts.length, 3);
+    assert.ok(email.attempts.every((attempt) => !attempt.ok));
+    assert.equal(delivered.length, 0);
+  });
+
+  test('fails a permanent rejection at once and delivers it after an owner resends', async (t) => {
+    const { db, queue } = mockOutbox(t);
+    const headers = signInAs(db, OWNER);
+    scriptedReplies.set('typo@example.com', [550]);
+    const email = queue('typo@example.com');
+
+    await processOutbox();
+    assert.equal(email.status, 'failed');
+    assert.equal(email.attemptCount, 1);
+    assert.match(email.lastError, /550/);
+
+    const res = await fetch(`${server.url}/api/email-outbox/${email._id}/resend`, { method: 'POST', headers });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.status, 'queued');
+    assert.equal(body.attemptsLogged, 1);
+
+    await waitFor(() => email.status === 'sent');
+    assert.equal(email.attemptCount, 1);
+    assert.deepEqual(email.attempts.map((attempt) => attempt.ok), [false, true]);
+    assert.deepEqual(delivered, [['typo@example.com']]);
+
+    const again = await fetch(`${server.url}/api/email-outbox/${email._id}/resend`, { method: 'POST', headers });
+    assert.equal(again.status, 409);
+  });
+});
@@ -0,0 +1,65 @@
+// test/helpers/fake-db.js
+// In-memory stand-in for the MongoDB calls a test exercises. Every query runs through
+// Query#exec, which is answered by the handler registered for "<Model>.<op>"
+// (e.g. "CardData.findOneAndUpdate"; findById and exists are "findOne"). Without a handler,
+// reads come back empty and writes acknowledge nothing. Document saves, Model.create,
+// insertMany and bulkWrite resolve without a database.
+
+const mongoose = require('mongoose');
+
+const WRITE_RESULT = { acknowledged: true, matchedCount: 0, modifiedCount: 0, deletedCount: 0 };
+const EMPTY_RESULTS = {
+  find: () => [],
+  countDocuments: () => 0,
+  updateOne: () => ({ ...WRITE_RESULT }),
+  updateMany: () => ({ ...WRITE_RESULT }),
+  deleteOne: () => ({ ...WRITE_RESULT }),
+  deleteMany: () => ({ ...WRITE_RESULT })
+};
+
+/**
+ * Installs the fake on a node:test `mock` (use the test context's `t.mock` so it is
+ * restored after the test). Returns { on(key, handler), queries, saved, findQueries(key) }:
+ * `queries` logs every { key, filter, update, options } in order, `saved` every saved document.
+ */
+function installFakeDb(mock) {
+  const handlers = new Map();
+  const queries = [];
+  const saved = [];
+
+  mock.method(mongoose.Query.prototype, 'exec', async function exec() {
+    const query = {
+      key: `${this.model.modelName}.${this.op}`,
+      filter: this.getFilter(),
+      update: this.getUpdate(),
+      options: this.getOptions()
+    };
+    queries.push(query);
+
+    const handler = handlers.get(query.key);
+    if (handler) return handler(query);
+    return EMPTY_RESULTS[this.op] ? EMPTY_RESULTS[this.op]() : null;
+  });
+
+  async function save() {
+    saved.push(this);
+    return this;
+  }
+  // Model.create calls $save, which is a separate reference to the same function.
+  mock.method(mongoose.Model.prototype, 'save', save);
+  mock.method(mongoose.Model.prototype, '$save', save);
+  mock.method(mongoose.Model, 'insertMany', async (docs) => docs);
+  mock.method(mongoose.Model, 'bulkWrite', async () => ({ ...WRITE_RESULT }));
+
+  return {
+    on(key, handler) {
+      handlers.set(key, handler);
+      return this;
+    },
+    queries,
+    saved,
+    findQueries: (key) => queries.filter((query) => query.key === key)
+  };
+}
+
+module.exports = { installFakeDb };
@@ -0,0 +1,64 @@
+// test/helpers/server.js
+// Loads server.js for route tests: no MongoDB, no Cloudinary account, no fixed port.
+// Set any extra env the test needs through loadServer(env); it is read once at require time.
+
+const mongoose = require('mongoose');
+const { v2: cloudinary } = require('cloudinary');
+
+const TEST_CLOUD_NAME = 'test-cloud';
+const TEST_TOKEN = 'test-session-token';
+
+function loadServer(env = {}) {
+  Object.assign(process.env, {
+    MONGODB_URI: 'mongodb://127.0.0.1:1/zumba-test',
+    MEDIA_STORAGE: 'cloudinary',
+    CLOUDINARY_CLOUD_NAME: TEST_CLOUD_NAME,
+    CLOUDINARY_API_KEY: 'test-key',
+    CLOUDINARY_API_SECRET: 'test-secret',
+    LOG_LEVEL: 'error',
+    ...env
+  });
+  // The credential check at startup would otherwise call Cloudinary.
+  cloudinary.api.ping = async () => ({ status: 'ok' });
+
+  const server = require('../../server');
+  // Routes answer 503 and the workers stay idle until the connection reports itself ready.
+  Object.defineProperty(mongoose.connection, 'readyState', { configurable: true, get: () => 1 });
+  return server;
+}
+
+// Starts the app on a free port; resolves to { url, close }.
+function listen(app) {
+  return new Promise((resolve) => {
+    const httpServer = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${httpServer.address().port}`,
+        close: () => new Promise((done) => httpServer.close(done))
+      });
+    });
+  });
+}
+
+// Makes requireAuth accept TEST_TOKEN as a session of `user`; returns the request headers.
+function signInAs(db, user) {
+  db.on('AdminSession.findOne', () => ({ _id: new mongoose.Types.ObjectId(), userId: user._id }));
+  db.on('User.findOne', () => ({ status: 'active', branch: '', ...user }));
+  return { Authorization: `Bearer ${TEST_TOKEN}` };
+}
+
+// Resolves once `check()` is true, letting queued promises and timers run in between.
+async function waitFor(check, { timeoutMs = 2000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+module.exports = {
+  TEST_CLOUD_NAME,
+  loadServer,
+  listen,
+  signInAs,
+  waitFor
+};
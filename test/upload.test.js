@@ -0,0 +1,213 @@
+// test/upload.test.js
+// POST /api/upload: type and size checks, resizing with metadata stripped, the Image row,
+// and deletion of the replaced photo from Cloudinary only once nothing references it.
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { v2: cloudinary } = require('cloudinary');
+const { installFakeDb } = require('./helpers/fake-db');
+const { TEST_CLOUD_NAME, loadServer, listen, signInAs, waitFor } = require('./helpers/server');
+
+const { app } = loadServer({ IMAGE_MAX_MB: '1' });
+
+const OWNER = { _id: new mongoose.Types.ObjectId(), username: 'owner', role: 'owner' };
+const OLD_PUBLIC_ID = 'zumba-gallery/old-photo';
+const OLD_URL = `https://res.cloudinary.com/${TEST_CLOUD_NAME}/image/upload/v1700000000/${OLD_PUBLIC_ID}.jpg`;
+
+let server;
+
+before(async () => {
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+// A 4:3 phone-style photo carrying a camera make and a GPS position.
+function createPhoto() {
+  return sharp({ create: { width: 1600, height: 1200, channels: 3, background: '#d2336b' } })
+    .withExif({
+      IFD0: { Make: 'TestPhone' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '12/1 58/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '77/1 35/1 0/1' }
+    })
+    .jpeg()
+    .toBuffer();
+}
+
+// Replaces the Cloudinary uploader; `uploads` gets { options, buffer } per stored file.
+function mockCloudinary(t) {
+  const uploads = [];
+  const destroyed = [];
+
+  t.mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => {
+    const chunks = [];
+    return new Writable({
+      write(chunk, encoding, done) {
+        chunks.push(chunk);
+        done();
+      },
+      final(done) {
+        const buffer = Buffer.concat(chunks);
+        const publicId = `${options.folder}/new-photo-${uploads.length + 1}`;
+        uploads.push({ options, buffer });
+        callback(undefined, {
+          secure_url: `https://res.cloudinary.com/${TEST_CLOUD_NAME}/image/upload/v1700000001/${publicId}.jpg`,
+          public_id: publicId,
+          bytes: buffer.length,
+          width: 1080,
+          height: 1350,
+          resource_type: 'image'
+        });
+        done();
+      }
+    });
+  });
+  t.mock.method(cloudinary.uploader, 'destroy', async (publicId, options) => {
+    destroyed.push({ publicId, options });
+    return { result: 'ok' };
+  });
+
+  return { uploads, destroyed };
+}
+
+// Branch 1 whose card 2 shows OLD_URL as its before photo. `references` says which other
+// records still point at OLD_URL: { cardData, revision, progress }.
+function mockGallery(t, references = {}) {
+  const db = installFakeDb(t.mock);
+  const headers = signInAs(db, OWNER);
+  const cardData = {
+    _id: new mongoose.Types.ObjectId(),
+    branch: 'branch1',
+    version: 3,
+    cards: [{ cardNum: 2, beforeImg: OLD_URL, afterImg: '' }]
+  };
+
+  db.on('CardData.findOneAndUpdate', ({ update }) => (
+    update.$inc ? { ...cardData, version: cardData.version + 1, cards: update.$set.cards } : cardData
+  ));
+  // Reference checks filter on the photo URL; the baseline check asks whether any revision exists.
+  db.on('CardData.findOne', () => (references.cardData ? { _id: cardData._id } : null));
+  db.on('CardRevision.findOne', ({ filter }) => (!filter.$or || references.revision ? { _id: 'revision' } : null));
+  db.on('ProgressEntry.findOne', () => (references.progress ? { _id: 'entry' } : null));
+
+  return { db, headers };
+}
+
+function uploadForm(buffer, { type = 'image/jpeg', fileName = 'photo.jpg', branch = 'branch1' } = {}) {
+  const form = new FormData();
+  form.append('branch', branch);
+  form.append('cardNum', '2');
+  form.append('slot', 'before');
+  form.append('image', new Blob([buffer], { type }), fileName);
+  return form;
+}
+
+function postUpload(headers, form) {
+  return fetch(`${server.url}/api/upload`, { method: 'POST', headers, body: form });
+}
+
+describe('POST /api/upload', () => {
+  test('rejects files that are not JPEG, PNG or WebP', async (t) => {
+    const { uploads } = mockCloudinary(t);
+    const { headers } = mockGallery(t);
+
+    const res = await postUpload(headers, uploadForm(Buffer.from('not a photo'), { type: 'text/plain', fileName: 'notes.txt' }));
+
+    assert.equal(res.status, 415);
+    assert.equal(uploads.length, 0);
+  });
+
+  test('rejects bytes that only claim to be an image', async (t) => {
+    const { uploads } = mockCloudinary(t);
+    const { headers } = mockGallery(t);
+
+    const res = await postUpload(headers, uploadForm(Buffer.from('definitely not a jpeg')));
+
+    assert.equal(res.status, 415);
+    assert.equal(uploads.length, 0);
+  });
+
+  test('rejects files over IMAGE_MAX_MB', async (t) => {
+    const { uploads } = mockCloudinary(t);
+    const { headers } = mockGallery(t);
+
+    const res = await postUpload(headers, uploadForm(Buffer.alloc(1.5 * 1024 * 1024)));
+
+    assert.equal(res.status, 413);
+    assert.equal(uploads.length, 0);
+  });
+
+  test('rejects a branch that does not exist', async (t) => {
+    const { uploads } = mockCloudinary(t);
+    const { db, headers } = mockGallery(t);
+
+    const res = await postUpload(headers, uploadForm(await createPhoto(), { branch: 'branch9' }));
+
+    assert.equal(res.status, 400);
+    assert.equal(uploads.length, 0);
+    assert.equal(db.findQueries('CardData.findOneAndUpdate').length, 0);
+  });
+
+  test('stores a 1080x1350 JPEG without EXIF or GPS data and records its publicId', async (t) => {
+    const { uploads } = mockCloudinary(t);
+    const { db, headers } = mockGallery(t);
+    const photo = await createPhoto();
+    assert.ok((await sharp(photo).metadata()).exif, 'fixture should carry EXIF');
+
+    const res = await postUpload(headers, uploadForm(photo));
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(uploads.length, 1);
+    assert.equal(uploads[0].options.folder, 'zumba-gallery');
+
+    const stored = await sharp(uploads[0].buffer).metadata();
+    assert.equal(stored.format, 'jpeg');
+    assert.equal(stored.width, 1080);
+    assert.equal(stored.height, 1350);
+    assert.equal(stored.exif, undefined);
+    assert.equal(stored.xmp, undefined);
+
+    const image = db.saved.find((doc) => doc.constructor.modelName === 'Image');
+    assert.equal(image.publicId, 'zumba-gallery/new-photo-1');
+    assert.equal(image.url, body.url);
+    assert.deepEqual([image.branch, image.cardNum, image.slot], ['branch1', 2, 'before']);
+    assert.equal(body.version, 4);
+  });
+
+  test('destroys the replaced photo once nothing references it', async (t) => {
+    const { destroyed } = mockCloudinary(t);
+    const { db, headers } = mockGallery(t);
+
+    const res = await postUpload(headers, uploadForm(await createPhoto()));
+    assert.equal(res.status, 201);
+
+    await waitFor(() => destroyed.length > 0);
+    assert.deepEqual(destroyed, [{ publicId: OLD_PUBLIC_ID, options: { resource_type: 'image', invalidate: true } }]);
+    await waitFor(() => db.findQueries('Image.deleteMany').some(({ filter }) => filter.url === OLD_URL));
+  });
+
+  for (const [label, references, lastCheck] of [
+    ['a current card', { cardData: true }, 'CardData.findOne'],
+    ['a kept card revision', { revision: true }, 'CardRevision.findOne'],
+    ['a progress entry', { progress: true }, 'ProgressEntry.findOne']
+  ]) {
+    test(`keeps the replaced photo while ${label} still shows it`, async (t) => {
+      const { destroyed } = mockCloudinary(t);
+      const { db, headers } = mockGallery(t, references);
+
+      const res = await postUpload(headers, uploadForm(await createPhoto()));
+      assert.equal(res.status, 201);
+
+      const isReferenceCheck = ({ filter }) => JSON.stringify(filter).includes(OLD_URL);
+      await waitFor(() => db.findQueries(lastCheck).some(isReferenceCheck));
+      // Let the cleanup run to completion before checking nothing was destroyed.
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      assert.equal(destroyed.length, 0);
+      assert.ok(!db.findQueries('Image.deleteMany').some(({ filter }) => filter.url === OLD_URL));
+    });
+  }
+});
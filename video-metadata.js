@@ -0,0 +1,79 @@
+// video-metadata.js
+// Reads a video's duration straight from the file without ffmpeg. Only the ISO base media
+// format (MP4 / MOV, what phones record) is understood; anything else resolves to null.
+
+const fs = require('fs');
+
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia']);
+
+async function readBox(handle, position, fileSize) {
+  if (position + 8 > fileSize) return null;
+
+  const header = Buffer.alloc(16);
+  await handle.read(header, 0, 16, position);
+  let size = header.readUInt32BE(0);
+  const type = header.toString('latin1', 4, 8);
+  let headerSize = 8;
+
+  if (size === 1) {
+    size = Number(header.readBigUInt64BE(8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = fileSize - position;
+  }
+
+  if (size < headerSize) return null;
+  return { type, start: position, size, bodyStart: position + headerSize };
+}
+
+async function findMvhd(handle, start, end, fileSize) {
+  let position = start;
+
+  while (position < end) {
+    const box = await readBox(handle, position, fileSize);
+    if (!box) return null;
+
+    if (box.type === 'mvhd') return box;
+    if (CONTAINER_BOXES.has(box.type)) {
+      const found = await findMvhd(handle, box.bodyStart, box.start + box.size, fileSize);
+      if (found) return found;
+    }
+
+    position = box.start + box.size;
+  }
+
+  return null;
+}
+
+/**
+ * Resolves to the duration in seconds from the movie header ("mvhd" box), or null when the
+ * file is not MP4/MOV or the header is missing.
+ */
+async function readMp4DurationSeconds(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const mvhd = await findMvhd(handle, 0, fileSize, fileSize);
+    if (!mvhd) return null;
+
+    const body = Buffer.alloc(32);
+    await handle.read(body, 0, 32, mvhd.bodyStart);
+    const version = body.readUInt8(0);
+
+    // Version 0 uses 32-bit times, version 1 uses 64-bit creation/modification/duration.
+    const timescale = version === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+    const duration = version === 1 ? Number(body.readBigUInt64BE(24)) : body.readUInt32BE(16);
+
+    if (!timescale) return null;
+    return Math.round((duration / timescale) * 10) / 10;
+  } catch (err) {
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  readMp4DurationSeconds
+};